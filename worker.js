@@ -3,616 +3,6411 @@
  *
  * 智能路由，在多个 Claude API 端点之间自动切换
  * - 按价格从低到高排序（aws < droid < ultra < claude）
- * - 使用全局内存缓存记录端点健康状态（同一实例内共享）
+ * - 使用可插拔的状态存储记录端点健康状态（默认内存，可选 KV 或 Durable Object）
  * - 自动故障转移，优先使用最便宜的可用端点
  * - 失败的端点会被临时标记，一段时间后重新尝试
  * - 支持指定端点路由，优先使用对应的实际端点
- * - 支持 OpenAI Completions API 格式兼容
+ * - 支持 OpenAI Chat Completions 和 Responses API 格式兼容
+ * - 支持 Gemini generateContent / streamGenerateContent 格式兼容
  * - 双源互备：主源 (newcli) 和备源 (dm-fox) 相互备份，单个源失败时自动切换
+ * - 按滚动统计的延迟、首 token 耗时和成功率在源之间加权选择，档位严重降级时可先使用下一个档位
+ * - 可选的首字节超时和对冲请求，主源挂起或响应慢时尽快使用备源
+ * - 源列表、端点档位和价格顺序可通过环境变量配置，启动时校验
+ * - 按模型路由：跳过不支持请求模型的档位，健康状态按模型系列分别记录
+ * - count_tokens 优先使用已知支持该接口的档位，都无法计数时返回本地估算值
+ * - 可插拔的上游格式适配：档位可以使用 OpenAI 兼容后端（vLLM、Ollama 等），请求和响应（含 SSE）自动转换为 Claude 格式
+ * - 可选的虚拟密钥：路由器签发客户端密钥，转发时替换为上游密钥
+ * - 按客户端密钥限制请求频率、每天 token 数和每月费用
+ * - 统计每个请求的 token 用量和费用，按密钥、档位、源、模型和日期汇总
+ * - 可选的定时健康探测（Cron 触发器），在用户请求之前发现故障或解除冷却
+ * - 管理接口（/_router/）查看健康状态，手动禁用、重置或固定端点
+ * - 每个请求带请求 ID 和尝试记录响应头，并输出一行结构化 JSON 日志（不含提示词内容）
+ * - 可选的响应缓存：确定性的非流式请求按客户端密钥隔离缓存，命中时不调用上游
+ * - 可配置的请求头策略（全局、源和档位）：白名单/黑名单、设置请求头、追加 anthropic-beta 标志，默认不转发客户端 IP 和身份头
+ * - 受 ADMIN_SECRET 保护的 Prometheus 指标（/metrics）：请求数、失败切换次数、上游延迟直方图、token 数和熔断状态
  */
 
-// 主源和备源配置
-const TARGET_BASE_URLS = [
-  'https://code.newcli.com',  // 主源
-  'https://dm-fox.rjj.cc'     // 备源
-];
+// 默认路由配置（可通过环境变量 ROUTER_CONFIG、TARGET_BASE_URLS、ENDPOINTS 覆盖）
+const DEFAULT_ROUTER_CONFIG = {
+  // 上游源，按顺序尝试（主源 -> 备源）
+  sources: [
+    { name: 'newcli', baseUrl: 'https://code.newcli.com' },  // 主源
+    { name: 'dm-fox', baseUrl: 'https://dm-fox.rjj.cc' }     // 备源
+  ],
+  // 健康状态存储：memory（默认，实例内共享）、kv（最终一致）、durable_object（强一致）
+  stateStore: { type: 'memory' },
+  // 端点档位，price 越小越便宜，路由时按 price 从低到高尝试
+  endpoints: [
+    { name: 'droid', path: '/claude/droid', price: 1 },   // 最便宜
+    { name: 'aws', path: '/claude/aws', price: 2 },
+    { name: 'ultra', path: '/claude/ultra', price: 3 },
+    { name: 'super', path: '/claude/super', price: 4 },   // 次贵
+    { name: 'claude', path: '/claude', price: 5 }         // 最贵
+  ],
+  // 转发给上游的请求头策略（源和档位可以单独设置，见 normalizeHeaderPolicy）
+  headers: {
+    // 不转发客户端 IP 和身份相关的头（cf-*、x-forwarded-*、cookie 等）
+    stripClientIdentity: true,
+    rules: [
+      {
+        // 看起来像机器人的客户端（OpenAI Python SDK、curl 等）伪装成 CherryStudio 客户端，以通过上游的反机器人检测
+        // 官方 Anthropic SDK（Anthropic/Python 等）保持原样，不会被改为 interleaved thinking
+        userAgent: ['*OpenAI*', '*Python*', '*curl*'],
+        excludeUserAgent: ['Anthropic/*'],
+        set: {
+          'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) CherryStudio/1.7.13 Chrome/140.0.7339.249 Electron/38.7.0 Safari/537.36'
+        },
+        anthropicBeta: ['interleaved-thinking-2025-05-14'],
+        deny: ['x-stainless-*']
+      }
+    ]
+  }
+};
 
-// 可用的端点列表（按价格从低到高排序）
-const ENDPOINTS = [
-  '/claude/droid',    // 最便宜
-  '/claude/aws',
-  '/claude/ultra',
-  '/claude/super',    // 次贵
-  '/claude'           // 最贵
-];
+// 已加载的路由配置缓存（同一 Worker 实例内复用，原始配置变化时重新加载）
+const routerConfigCache = { raw: null, config: null };
 
-// 全局健康状态缓存（跨请求共享，同一 Worker 实例内所有请求共享）
-const globalHealthCache = new Map();
+// 全局状态缓存（内存状态存储使用，同一 Worker 实例内所有请求共享）
+const globalStateCache = new Map();
 
-// 端点健康检查配置
+// 端点健康检查（熔断器）默认配置，可通过 ROUTER_CONFIG.circuitBreaker 全局覆盖，或在端点上单独覆盖
 const HEALTH_CHECK_CONFIG = {
-  // 失败后的冷却时间（秒）
+  // 首次熔断的冷却时间（秒）
   COOLDOWN_TIME: 60,  // 1分钟
   // 连续失败多少次后进入冷却
-  MAX_FAILURES: 3
+  MAX_FAILURES: 3,
+  // 反复熔断时冷却时间指数增长的上限（秒）
+  MAX_COOLDOWN_TIME: 1800,  // 30分钟
+  // 冷却时间的随机抖动比例（避免多个端点同时恢复）
+  JITTER_RATIO: 0.2,
+  // 半开状态下允许同时进行的试探请求数
+  HALF_OPEN_MAX_REQUESTS: 1,
+  // 试探请求超过该时间（秒）没有结果时释放许可
+  HALF_OPEN_TIMEOUT: 120,
+  // 恢复后保持健康超过该时间（秒），冷却时间重新从 COOLDOWN_TIME 开始计算
+  BACKOFF_RESET_TIME: 600  // 10分钟
+};
+
+// 熔断器配置项（ROUTER_CONFIG 中的名称）与默认值的对应关系
+const CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 'MAX_FAILURES',
+  cooldownTime: 'COOLDOWN_TIME',
+  maxCooldownTime: 'MAX_COOLDOWN_TIME',
+  jitterRatio: 'JITTER_RATIO',
+  halfOpenMaxRequests: 'HALF_OPEN_MAX_REQUESTS',
+  halfOpenTimeout: 'HALF_OPEN_TIMEOUT',
+  backoffResetTime: 'BACKOFF_RESET_TIME'
+};
+
+// 单次尝试的默认设置，可通过 ROUTER_CONFIG.attempt 全局覆盖，或在端点上单独覆盖
+const DEFAULT_ATTEMPT_CONFIG = {
+  // 等待上游响应头的超时时间（秒），为空表示不限制
+  // 注意：非流式请求要等整个回复生成完才返回响应头，超时时间需要足够长
+  firstByteTimeout: null,
+  // 对冲延迟（秒）：当前源超过该时间没有响应时，同时向下一个源发送相同请求，使用先响应的结果，为空表示不对冲
+  hedgeDelay: null
+};
+
+// 源选择策略默认配置，可通过 ROUTER_CONFIG.selection 覆盖
+const DEFAULT_SELECTION_CONFIG = {
+  // weighted：同一档位内按延迟和成功率加权选择源；ordered：总是先主源后备源（不记录统计）
+  policy: 'weighted',
+  // 滚动统计（EWMA）的平滑系数，越大越看重最近的请求
+  ewmaAlpha: 0.2,
+  // 样本数少于该值的源按同档位表现最好的源对待，避免新源得不到流量
+  minSamples: 5,
+  // 每个源（以及严重降级的档位）至少分到的流量比例，表现差的源也能持续更新统计
+  explorationRatio: 0.05,
+  // 档位降级：便宜档位的成功率低于该值，或延迟超过下一个档位的该倍数时，先尝试下一个档位，为空表示不启用
+  degradedSuccessRate: null,
+  degradedLatencyRatio: null
+};
+
+// 源选择策略
+const SELECTION_POLICIES = ['weighted', 'ordered'];
+
+// 定时健康探测默认配置，可通过 ROUTER_CONFIG.probe 覆盖
+const DEFAULT_PROBE_CONFIG = {
+  // 探测方式：count_tokens（不消耗额度）或 messages（最小的 1 token 消息）
+  type: 'count_tokens',
+  model: 'claude-3-5-haiku-20241022',
+  // 探测使用的 API Key 所在的环境变量（Secret）
+  keyEnv: 'PROBE_API_KEY',
+  // 单次探测超时时间（秒）
+  timeout: 10
+};
+
+// token 计数接口路径
+const COUNT_TOKENS_PATH = '/v1/messages/count_tokens';
+
+// 上游未实现 count_tokens 时返回的状态码，记录为不支持，不计入端点失败
+const COUNT_TOKENS_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// 记录为不支持 count_tokens 的"端点+源"经过该时间（毫秒）后重新尝试
+const COUNT_TOKENS_RECHECK_INTERVAL = 60 * 60 * 1000;
+
+// 各探测方式对应的 API 路径
+const PROBE_PATHS = {
+  count_tokens: COUNT_TOKENS_PATH,
+  messages: '/v1/messages'
+};
+
+// 默认模型价格（美元 / 百万 token），按书写顺序匹配第一个模式
+// 可通过 ROUTER_CONFIG.pricing 补充或覆盖，档位可通过 pricing 或 costMultiplier 单独设置
+const DEFAULT_MODEL_PRICING = {
+  'claude-opus-4-5*': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  '*opus*': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  '*sonnet*': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5*': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  '*3-5-haiku*': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  '*haiku*': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 }
 };
 
+// 价格项
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+// 模型系列：健康状态按"端点+源+模型系列"分别记录，某个档位缺少某个模型不会让整个档位熔断
+const MODEL_FAMILIES = ['opus', 'sonnet', 'haiku'];
+// 无法识别系列的模型（或请求中没有模型）
+const OTHER_MODEL_FAMILY = 'other';
+
 /**
- * 端点健康状态管理类
- * 使用全局内存缓存存储健康状态（同一 Worker 实例内共享）
- * 为每个"端点+源"组合单独追踪健康状态
+ * 解析逗号分隔的环境变量列表
  */
-class EndpointHealthManager {
-  constructor() {
-    // 不再需要构造参数，直接使用全局缓存
-  }
+function parseListEnv(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
 
-  /**
-   * 生成健康状态的唯一键
-   * @param {number} endpointIndex - 端点索引
-   * @param {number} baseUrlIndex - 基础 URL 索引
-   */
-  getHealthKey(endpointIndex, baseUrlIndex) {
-    return `${endpointIndex}-${baseUrlIndex}`;
+/**
+ * 根据端点路径生成默认档位名称（如 /claude/aws -> aws）
+ */
+function deriveEndpointName(path) {
+  const segments = path.split('/').filter(Boolean);
+  return segments[segments.length - 1] || 'root';
+}
+
+/**
+ * 读取原始路由配置
+ * 优先级：ROUTER_CONFIG（JSON 字符串或 JSON 绑定）> TARGET_BASE_URLS / ENDPOINTS（逗号分隔）> 默认配置
+ */
+function readRawRouterConfig(env) {
+  let overrides = {};
+  if (env?.ROUTER_CONFIG) {
+    if (typeof env.ROUTER_CONFIG === 'string') {
+      try {
+        overrides = JSON.parse(env.ROUTER_CONFIG);
+      } catch (error) {
+        throw new Error(`Invalid router config: ROUTER_CONFIG is not valid JSON (${error.message})`);
+      }
+    } else {
+      overrides = env.ROUTER_CONFIG;
+    }
   }
 
-  /**
-   * 获取端点健康状态
-   */
-  async getHealth(endpointIndex, baseUrlIndex) {
-    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
-    const health = globalHealthCache.get(key);
+  const raw = { ...DEFAULT_ROUTER_CONFIG, ...overrides };
 
-    if (!health) {
-      return { failures: 0, lastFailTime: 0, inCooldown: false };
-    }
+  // 简单模式：只覆盖源地址或端点路径（端点按书写顺序作为价格顺序）
+  if (!overrides.sources && env?.TARGET_BASE_URLS) {
+    raw.sources = parseListEnv(env.TARGET_BASE_URLS).map(baseUrl => ({ baseUrl }));
+  }
+  if (!overrides.endpoints && env?.ENDPOINTS) {
+    raw.endpoints = parseListEnv(env.ENDPOINTS).map((path, index) => ({ path, price: index + 1 }));
+  }
+
+  return raw;
+}
 
-    return health;
+/**
+ * 规范化并校验单个源的认证覆盖配置
+ * auth: { header: 'authorization', scheme: 'Bearer', key: '...', keyEnv: 'SECRET_NAME' }
+ */
+function normalizeSourceAuth(auth, label, env, errors) {
+  if (auth === undefined || auth === null) {
+    return null;
+  }
+  if (typeof auth !== 'object') {
+    errors.push(`${label}.auth must be an object`);
+    return null;
+  }
+  if (typeof auth.header !== 'string' || !auth.header.trim()) {
+    errors.push(`${label}.auth.header must be a non-empty string`);
+    return null;
   }
 
-  /**
-   * 保存端点健康状态
-   */
-  async saveHealth(endpointIndex, baseUrlIndex, health) {
-    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
-    globalHealthCache.set(key, health);
+  let key = typeof auth.key === 'string' && auth.key ? auth.key : null;
+  if (auth.keyEnv) {
+    key = env?.[auth.keyEnv] || null;
+    if (!key) {
+      errors.push(`${label}.auth.keyEnv "${auth.keyEnv}" is not set`);
+    }
   }
 
-  /**
-   * 检查端点是否可用
-   */
-  async isAvailable(endpointIndex, baseUrlIndex) {
-    const health = await this.getHealth(endpointIndex, baseUrlIndex);
-    const now = Date.now();
+  return {
+    header: auth.header.trim().toLowerCase(),
+    scheme: typeof auth.scheme === 'string' && auth.scheme ? auth.scheme : null,
+    key
+  };
+}
 
-    // 如果在冷却期，检查是否已过冷却时间
-    if (health.inCooldown) {
-      if (now - health.lastFailTime >= HEALTH_CHECK_CONFIG.COOLDOWN_TIME * 1000) {
-        // 冷却期结束，允许使用（等成功时再重置状态）
-        return true;
-      }
-      return false;
-    }
+// 客户端 IP 和身份相关的请求头（stripClientIdentity 启用时不转发给上游）
+const CLIENT_IDENTITY_HEADERS = ['cf-*', 'x-forwarded-*', 'x-real-ip', 'true-client-ip', 'forwarded', 'via', 'cookie'];
 
-    return true;
-  }
+// 认证和请求体相关的头，不受请求头策略的 allow / deny 影响（认证头由源的 auth 配置控制）
+const PROTECTED_HEADERS = ['x-api-key', 'authorization', 'content-type', 'content-length'];
 
-  /**
-   * 记录端点失败
-   */
-  async recordFailure(endpointIndex, baseUrlIndex) {
-    const health = await this.getHealth(endpointIndex, baseUrlIndex);
-    health.failures++;
-    health.lastFailTime = Date.now();
+// 路由器自己使用的控制头，无论请求头策略如何配置都不转发给上游
+const ROUTER_INTERNAL_HEADERS = ['x-admin-secret', 'x-router-cache', 'x-request-id'];
 
-    // 如果连续失败次数达到阈值，进入冷却期
-    if (health.failures >= HEALTH_CHECK_CONFIG.MAX_FAILURES) {
-      health.inCooldown = true;
+/**
+ * 规范化并校验请求头策略中的改写项（策略本身和 rules 中的每条规则共用）
+ * allow: 只转发匹配的客户端请求头（支持通配符，不配置时转发所有头）
+ * deny: 不转发匹配的客户端请求头
+ * set: 设置或覆盖请求头
+ * anthropicBeta: 追加到 anthropic-beta 头的标志
+ */
+function normalizeHeaderActions(policy, label, errors) {
+  const patterns = (field) => {
+    const value = policy[field];
+    if (value === undefined) {
+      return null;
     }
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item)) {
+      errors.push(`${label}.${field} must be an array of header names`);
+      return null;
+    }
+    return value.map(item => item.toLowerCase());
+  };
 
-    await this.saveHealth(endpointIndex, baseUrlIndex, health);
+  const set = {};
+  if (policy.set !== undefined) {
+    if (!policy.set || typeof policy.set !== 'object' || Array.isArray(policy.set)) {
+      errors.push(`${label}.set must be an object`);
+    } else {
+      for (const [name, value] of Object.entries(policy.set)) {
+        if (typeof value !== 'string') {
+          errors.push(`${label}.set["${name}"] must be a string`);
+          continue;
+        }
+        set[name.toLowerCase()] = value;
+      }
+    }
   }
 
-  /**
-   * 记录端点成功
-   */
-  async recordSuccess(endpointIndex, baseUrlIndex) {
-    const health = await this.getHealth(endpointIndex, baseUrlIndex);
-
-    // 只有在端点之前有失败记录或在冷却期时才需要重置
-    if (health.failures > 0 || health.inCooldown) {
-      await this.saveHealth(endpointIndex, baseUrlIndex, {
-        failures: 0,
-        lastFailTime: 0,
-        inCooldown: false
-      });
+  let anthropicBeta = [];
+  if (policy.anthropicBeta !== undefined) {
+    if (!Array.isArray(policy.anthropicBeta) || !policy.anthropicBeta.every(flag => typeof flag === 'string' && flag)) {
+      errors.push(`${label}.anthropicBeta must be an array of strings`);
+    } else {
+      anthropicBeta = policy.anthropicBeta;
     }
-    // 如果端点一直健康，不需要写入缓存
   }
+
+  return { allow: patterns('allow'), deny: patterns('deny') || [], set, anthropicBeta };
 }
 
 /**
- * 检查值是否有效（不是 undefined、null 或字符串 "[undefined]"）
+ * 规范化并校验转发给上游的请求头策略（全局、源或档位）
+ * headers: { allow, deny, set, anthropicBeta, stripClientIdentity, rules: [{ userAgent: ['*curl*'], excludeUserAgent, allow, deny, set, anthropicBeta }] }
+ * rules 中的规则只在客户端 User-Agent 匹配 userAgent 且不匹配 excludeUserAgent 时生效
  */
-function isValidValue(value) {
-  if (value === undefined || value === null || value === '[undefined]' || value === 'undefined') {
-    return false;
+function normalizeHeaderPolicy(policy, label, errors) {
+  if (policy === undefined || policy === null) {
+    return null;
   }
-  // 如果是对象或数组，检查是否为空或只包含无效值
-  if (typeof value === 'object') {
-    if (Array.isArray(value)) {
-      return value.length > 0;
-    }
-    // 对于普通对象，检查是否有有效的属性
-    return Object.keys(value).length > 0;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    errors.push(`${label} must be an object`);
+    return null;
   }
-  return true;
+  if (policy.stripClientIdentity !== undefined && typeof policy.stripClientIdentity !== 'boolean') {
+    errors.push(`${label}.stripClientIdentity must be a boolean`);
+  }
+
+  const rules = [];
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    errors.push(`${label}.rules must be an array`);
+  } else {
+    (policy.rules || []).forEach((rule, index) => {
+      const ruleLabel = `${label}.rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${ruleLabel} must be an object`);
+        return;
+      }
+      if (!Array.isArray(rule.userAgent) || rule.userAgent.length === 0 || !rule.userAgent.every(pattern => typeof pattern === 'string' && pattern)) {
+        errors.push(`${ruleLabel}.userAgent must be a non-empty array of patterns`);
+        return;
+      }
+      if (rule.excludeUserAgent !== undefined && (!Array.isArray(rule.excludeUserAgent) || !rule.excludeUserAgent.every(pattern => typeof pattern === 'string' && pattern))) {
+        errors.push(`${ruleLabel}.excludeUserAgent must be an array of patterns`);
+        return;
+      }
+      rules.push({
+        userAgent: rule.userAgent,
+        excludeUserAgent: rule.excludeUserAgent || [],
+        ...normalizeHeaderActions(rule, ruleLabel, errors)
+      });
+    });
+  }
+
+  return {
+    ...normalizeHeaderActions(policy, label, errors),
+    stripClientIdentity: typeof policy.stripClientIdentity === 'boolean' ? policy.stripClientIdentity : null,
+    rules
+  };
 }
 
 /**
- * 清理对象中的无效值
+ * 合并并校验熔断器配置，返回以毫秒为单位的设置
+ * circuitBreaker: { failureThreshold, cooldownTime, maxCooldownTime, jitterRatio, halfOpenMaxRequests, halfOpenTimeout, backoffResetTime }
  */
-function cleanObject(obj) {
-  if (!obj || typeof obj !== 'object') {
-    return obj;
+function normalizeCircuitBreakerConfig(overrides, defaults, label, errors) {
+  const merged = { ...defaults };
+  if (overrides === undefined || overrides === null) {
+    return merged;
+  }
+  if (typeof overrides !== 'object') {
+    errors.push(`${label} must be an object`);
+    return merged;
   }
 
-  const cleaned = {};
-  for (const [key, value] of Object.entries(obj)) {
-    if (isValidValue(value)) {
-      cleaned[key] = value;
+  for (const [option, value] of Object.entries(overrides)) {
+    if (!CIRCUIT_BREAKER_OPTIONS[option]) {
+      errors.push(`${label}.${option} is not a known circuit breaker option`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${label}.${option} must be a non-negative number`);
+    } else {
+      merged[option] = value;
     }
   }
-  return cleaned;
+  if (merged.jitterRatio > 1) {
+    errors.push(`${label}.jitterRatio must be between 0 and 1`);
+  }
+  if (merged.failureThreshold < 1 || merged.halfOpenMaxRequests < 1) {
+    errors.push(`${label}.failureThreshold and halfOpenMaxRequests must be at least 1`);
+  }
+  return merged;
 }
 
 /**
- * 转换 OpenAI Chat Completions 请求格式为 Claude Messages API 格式
+ * 合并并校验单次尝试设置，返回以毫秒为单位的设置
+ * attempt: { firstByteTimeout: 30, hedgeDelay: 2 }
  */
-function convertOpenAIToClaude(openaiRequest) {
-  const claudeRequest = {
-    model: isValidValue(openaiRequest.model) ? openaiRequest.model : 'claude-3-5-sonnet-20241022',
-    max_tokens: isValidValue(openaiRequest.max_tokens) ? openaiRequest.max_tokens : 4096,
-    messages: []
-  };
+function normalizeAttemptConfig(overrides, defaults, label, errors) {
+  const merged = { ...defaults };
+  if (overrides === undefined || overrides === null) {
+    return merged;
+  }
+  if (typeof overrides !== 'object') {
+    errors.push(`${label} must be an object`);
+    return merged;
+  }
 
-  // 转换消息格式
-  if (openaiRequest.messages && Array.isArray(openaiRequest.messages)) {
-    for (const msg of openaiRequest.messages) {
-      if (msg.role === 'system') {
-        // Claude 的 system 消息单独处理
-        if (isValidValue(msg.content)) {
-          claudeRequest.system = msg.content;
-        }
-      } else if (msg.role === 'user' || msg.role === 'assistant') {
-        if (isValidValue(msg.content)) {
-          claudeRequest.messages.push({
-            role: msg.role,
-            content: msg.content
-          });
-        }
-      }
+  for (const [option, value] of Object.entries(overrides)) {
+    if (!(option in DEFAULT_ATTEMPT_CONFIG)) {
+      errors.push(`${label}.${option} is not a known attempt option`);
+    } else if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+      errors.push(`${label}.${option} must be a positive number of seconds or null`);
+    } else {
+      merged[option] = value;
     }
   }
+  return merged;
+}
 
-  // 可选参数转换 - 只添加有效的参数
-  if (isValidValue(openaiRequest.temperature) && typeof openaiRequest.temperature === 'number') {
-    claudeRequest.temperature = openaiRequest.temperature;
-  }
-  if (isValidValue(openaiRequest.top_p) && typeof openaiRequest.top_p === 'number') {
-    claudeRequest.top_p = openaiRequest.top_p;
+/**
+ * 规范化并校验源选择策略配置
+ * selection: { policy: 'weighted' | 'ordered', ewmaAlpha, minSamples, explorationRatio, degradedSuccessRate, degradedLatencyRatio }
+ */
+function normalizeSelectionConfig(selection, errors) {
+  const merged = { ...DEFAULT_SELECTION_CONFIG };
+  if (selection === undefined || selection === null) {
+    return merged;
   }
-  // Stream 参数：如果提供则使用，否则默认为 false
-  if (isValidValue(openaiRequest.stream) && typeof openaiRequest.stream === 'boolean') {
-    claudeRequest.stream = openaiRequest.stream;
-  } else {
-    claudeRequest.stream = false;
+  if (typeof selection !== 'object') {
+    errors.push('selection must be an object');
+    return merged;
   }
-  if (isValidValue(openaiRequest.stop)) {
-    if (Array.isArray(openaiRequest.stop)) {
-      const validStops = openaiRequest.stop.filter(s => isValidValue(s));
-      if (validStops.length > 0) {
-        claudeRequest.stop_sequences = validStops;
+
+  // 各配置项的取值范围
+  const ratio = value => typeof value === 'number' && value >= 0 && value <= 1;
+  const checks = {
+    ewmaAlpha: [value => typeof value === 'number' && value > 0 && value <= 1, 'a number in (0, 1]'],
+    minSamples: [value => Number.isInteger(value) && value >= 0, 'a non-negative integer'],
+    explorationRatio: [value => ratio(value) && value < 0.5, 'a number in [0, 0.5)'],
+    degradedSuccessRate: [value => value === null || ratio(value), 'a number in [0, 1] or null'],
+    degradedLatencyRatio: [value => value === null || (typeof value === 'number' && value > 1), 'a number greater than 1 or null']
+  };
+
+  for (const [option, value] of Object.entries(selection)) {
+    if (option === 'policy') {
+      if (!SELECTION_POLICIES.includes(value)) {
+        errors.push(`selection.policy must be one of ${SELECTION_POLICIES.join(', ')}`);
+      } else {
+        merged.policy = value;
       }
-    } else if (typeof openaiRequest.stop === 'string') {
-      claudeRequest.stop_sequences = [openaiRequest.stop];
+    } else if (!checks[option]) {
+      errors.push(`selection.${option} is not a known selection option`);
+    } else if (!checks[option][0](value)) {
+      errors.push(`selection.${option} must be ${checks[option][1]}`);
+    } else {
+      merged[option] = value;
     }
   }
+  return merged;
+}
 
-  // 清理请求对象，移除任何可能残留的无效值
-  return cleanObject(claudeRequest);
+/**
+ * 将单次尝试设置转换为毫秒
+ */
+function toAttemptSettings(options) {
+  return {
+    firstByteTimeoutMs: options.firstByteTimeout === null ? null : options.firstByteTimeout * 1000,
+    hedgeDelayMs: options.hedgeDelay === null ? null : options.hedgeDelay * 1000
+  };
 }
 
 /**
- * 转换 Claude SSE 流为 OpenAI SSE 流
+ * 将熔断器配置转换为状态转换函数使用的毫秒设置
  */
-async function convertClaudeStreamToOpenAI(claudeStream, originalModel) {
-  const reader = claudeStream.getReader();
-  const encoder = new TextEncoder();
-  const decoder = new TextDecoder();
+function toCircuitBreakerSettings(options) {
+  return {
+    failureThreshold: options.failureThreshold,
+    openDurationMs: options.cooldownTime * 1000,
+    maxOpenDurationMs: options.maxCooldownTime * 1000,
+    jitterRatio: options.jitterRatio,
+    halfOpenMaxRequests: options.halfOpenMaxRequests,
+    halfOpenTimeoutMs: options.halfOpenTimeout * 1000,
+    backoffResetMs: options.backoffResetTime * 1000
+  };
+}
 
-  return new ReadableStream({
-    async start(controller) {
-      let buffer = '';
+/**
+ * 规范化并校验定时探测配置
+ * probe: { type: 'count_tokens' | 'messages', model: '...', keyEnv: 'PROBE_API_KEY', timeout: 10 }
+ */
+function normalizeProbeConfig(probe, env, errors) {
+  if (probe !== undefined && (probe === null || typeof probe !== 'object')) {
+    errors.push('probe must be an object');
+    return { ...DEFAULT_PROBE_CONFIG, key: null };
+  }
 
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
+  const merged = { ...DEFAULT_PROBE_CONFIG, ...probe };
+  if (!PROBE_PATHS[merged.type]) {
+    errors.push(`probe.type must be one of ${Object.keys(PROBE_PATHS).join(', ')}`);
+  }
+  if (typeof merged.model !== 'string' || !merged.model) {
+    errors.push('probe.model must be a non-empty string');
+  }
+  if (typeof merged.timeout !== 'number' || !(merged.timeout > 0)) {
+    errors.push('probe.timeout must be a positive number');
+  }
 
-          if (done) {
-            controller.close();
-            break;
-          }
+  // 显式指定的 keyEnv 必须存在；默认的 PROBE_API_KEY 未设置时只使用源自身配置的密钥
+  const key = env?.[merged.keyEnv] || null;
+  if (probe?.keyEnv && !key) {
+    errors.push(`probe.keyEnv "${probe.keyEnv}" is not set`);
+  }
 
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
+  return { type: merged.type, model: merged.model, timeoutMs: merged.timeout * 1000, key };
+}
 
-          for (const line of lines) {
-            if (!line.trim() || line.startsWith(':')) continue;
+/**
+ * 判断模型名称是否匹配通配符模式（* 匹配任意字符，? 匹配单个字符）
+ */
+function matchesModelPattern(pattern, model) {
+  const regex = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${regex}$`).test(model);
+}
 
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
+/**
+ * 获取模型所属的系列（opus / sonnet / haiku / other）
+ */
+function getModelFamily(model) {
+  if (typeof model !== 'string') {
+    return OTHER_MODEL_FAMILY;
+  }
+  const lower = model.toLowerCase();
+  return MODEL_FAMILIES.find(family => lower.includes(family)) || OTHER_MODEL_FAMILY;
+}
 
-              if (data === '[DONE]') {
-                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-                continue;
-              }
+/**
+ * 解析档位实际使用的模型名称
+ * 档位没有配置 models 时支持所有模型；modelRewrites 按书写顺序匹配第一个模式
+ * @returns {string|null} 改写后的模型名称，档位不支持该模型时返回 null
+ */
+function resolveEndpointModel(endpoint, model) {
+  if (endpoint.models && !endpoint.models.some(pattern => matchesModelPattern(pattern, model))) {
+    return null;
+  }
+  for (const [pattern, target] of Object.entries(endpoint.modelRewrites || {})) {
+    if (matchesModelPattern(pattern, model)) {
+      return target;
+    }
+  }
+  return model;
+}
 
-              try {
-                const claudeEvent = JSON.parse(data);
-                let openaiEvent = null;
+/**
+ * 校验档位的模型路由配置
+ * models: ['claude-3-5-haiku-*', 'claude-sonnet-4*']
+ * modelRewrites: { 'claude-sonnet-4*': 'claude-sonnet-4-20250514' }
+ */
+function normalizeEndpointModels(endpoint, label, errors) {
+  let models = null;
+  if (endpoint.models !== undefined) {
+    if (!Array.isArray(endpoint.models) || endpoint.models.some(pattern => typeof pattern !== 'string' || !pattern)) {
+      errors.push(`${label}.models must be an array of non-empty model patterns`);
+    } else {
+      models = endpoint.models;
+    }
+  }
 
-                // 转换不同类型的 Claude 事件为 OpenAI 格式
-                switch (claudeEvent.type) {
-                  case 'message_start':
-                    openaiEvent = {
-                      id: claudeEvent.message.id || `chatcmpl-${Date.now()}`,
-                      object: 'chat.completion.chunk',
-                      created: Math.floor(Date.now() / 1000),
-                      model: originalModel || claudeEvent.message.model || 'claude-3-5-sonnet-20241022',
-                      choices: [{
-                        index: 0,
-                        delta: { role: 'assistant', content: '' },
-                        finish_reason: null
-                      }]
-                    };
-                    break;
+  let modelRewrites = null;
+  if (endpoint.modelRewrites !== undefined) {
+    const entries = endpoint.modelRewrites && typeof endpoint.modelRewrites === 'object'
+      ? Object.entries(endpoint.modelRewrites)
+      : null;
+    if (!entries || entries.some(([, target]) => typeof target !== 'string' || !target)) {
+      errors.push(`${label}.modelRewrites must map model patterns to model names`);
+    } else {
+      modelRewrites = endpoint.modelRewrites;
+    }
+  }
 
-                  case 'content_block_start':
-                    // OpenAI 在第一个 chunk 中已经包含了 role，这里跳过
-                    continue;
+  return { models, modelRewrites };
+}
 
-                  case 'content_block_delta':
-                    if (claudeEvent.delta?.type === 'text_delta') {
-                      openaiEvent = {
-                        id: `chatcmpl-${Date.now()}`,
-                        object: 'chat.completion.chunk',
-                        created: Math.floor(Date.now() / 1000),
-                        model: originalModel || 'claude-3-5-sonnet-20241022',
-                        choices: [{
-                          index: 0,
-                          delta: { content: claudeEvent.delta.text },
-                          finish_reason: null
-                        }]
-                      };
-                    }
-                    break;
+/**
+ * 规范化并校验价格表，返回按书写顺序排列的 [{ pattern, price }]
+ * pricing: { 'claude-sonnet-4*': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } }
+ */
+function normalizePricingTable(pricing, label, errors) {
+  if (pricing === undefined || pricing === null) {
+    return [];
+  }
+  if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+    errors.push(`${label} must map model patterns to prices`);
+    return [];
+  }
 
-                  case 'content_block_stop':
-                    // 内容块结束，不需要发送事件
-                    continue;
+  const table = [];
+  for (const [pattern, price] of Object.entries(pricing)) {
+    if (!price || typeof price !== 'object') {
+      errors.push(`${label}["${pattern}"] must be an object`);
+      continue;
+    }
+    const normalized = {};
+    for (const field of PRICE_FIELDS) {
+      const value = price[field] ?? 0;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${label}["${pattern}"].${field} must be a non-negative number`);
+      }
+      normalized[field] = value;
+    }
+    table.push({ pattern, price: normalized });
+  }
+  return table;
+}
 
-                  case 'message_delta':
-                    // 处理 stop_reason
-                    if (claudeEvent.delta?.stop_reason) {
-                      const finishReason = claudeEvent.delta.stop_reason === 'end_turn' ? 'stop' :
-                                         claudeEvent.delta.stop_reason === 'max_tokens' ? 'length' :
-                                         claudeEvent.delta.stop_reason;
-                      openaiEvent = {
-                        id: `chatcmpl-${Date.now()}`,
-                        object: 'chat.completion.chunk',
-                        created: Math.floor(Date.now() / 1000),
-                        model: originalModel || 'claude-3-5-sonnet-20241022',
-                        choices: [{
-                          index: 0,
-                          delta: {},
-                          finish_reason: finishReason
-                        }]
-                      };
-                    }
-                    break;
+/**
+ * 规范化并校验用量统计配置
+ * usage: { enabled: true, baselineTier: 'claude' }
+ * baselineTier 用于计算节省的费用，默认为价格最高的档位
+ */
+function normalizeUsageConfig(usage, endpoints, errors) {
+  const enabled = usage?.enabled !== false;
+  const sorted = [...endpoints].sort((a, b) => a.price - b.price);
+  const baselineTier = usage?.baselineTier ?? sorted[sorted.length - 1]?.name ?? null;
+  if (usage?.baselineTier !== undefined && !endpoints.some(endpoint => endpoint.name === usage.baselineTier)) {
+    errors.push(`usage.baselineTier "${usage.baselineTier}" is not a configured endpoint`);
+  }
+  return { enabled, baselineTier };
+}
 
-                  case 'message_stop':
-                    // 消息结束，发送 [DONE]
-                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-                    continue;
+/**
+ * 规范化并校验请求日志配置
+ * logging: { enabled: true }，启用时每个请求输出一行 JSON 日志
+ */
+function normalizeLoggingConfig(logging, errors) {
+  if (logging?.enabled !== undefined && typeof logging.enabled !== 'boolean') {
+    errors.push('logging.enabled must be a boolean');
+  }
+  return { enabled: logging?.enabled !== false };
+}
 
-                  case 'ping':
-                    // 心跳事件，跳过
-                    continue;
+/**
+ * 规范化并校验 Prometheus 指标配置
+ * metrics: { enabled: true }，启用且设置了 ADMIN_SECRET 时每个请求结束后累加指标
+ */
+function normalizeMetricsConfig(metrics, errors) {
+  if (metrics?.enabled !== undefined && typeof metrics.enabled !== 'boolean') {
+    errors.push('metrics.enabled must be a boolean');
+  }
+  return { enabled: metrics?.enabled !== false };
+}
 
-                  case 'error':
-                    // 错误事件
-                    openaiEvent = {
-                      error: {
-                        message: claudeEvent.error?.message || 'Unknown error',
-                        type: claudeEvent.error?.type || 'api_error'
-                      }
-                    };
-                    break;
+// 响应缓存的存储方式
+const RESPONSE_CACHE_STORES = ['cache', 'kv'];
 
-                  default:
-                    console.log('Unknown Claude event type:', claudeEvent.type);
-                    continue;
-                }
+/**
+ * 规范化并校验响应缓存配置
+ * cache: { enabled: false, ttl: 3600, store: 'cache' | 'kv', binding: 'ROUTER_KV' }
+ * store 为 cache 时使用 Cache API（每个数据中心单独缓存），为 kv 时使用 KV 命名空间（全局共享）
+ */
+function normalizeCacheConfig(cache, env, errors) {
+  if (cache?.enabled !== undefined && typeof cache.enabled !== 'boolean') {
+    errors.push('cache.enabled must be a boolean');
+  }
+  if (cache?.ttl !== undefined && (typeof cache.ttl !== 'number' || cache.ttl < 60)) {
+    errors.push('cache.ttl must be a number of at least 60 seconds');
+  }
+  const store = cache?.store || 'cache';
+  if (!RESPONSE_CACHE_STORES.includes(store)) {
+    errors.push(`cache.store must be one of ${RESPONSE_CACHE_STORES.join(', ')}`);
+  }
+  const enabled = cache?.enabled === true;
+  const binding = store === 'kv' ? cache.binding || STATE_STORE_BINDINGS.kv : null;
+  if (enabled && binding && !env?.[binding]) {
+    errors.push(`cache binding "${binding}" is not configured`);
+  }
+  return { enabled, ttl: cache?.ttl ?? 3600, store, binding };
+}
 
-                if (openaiEvent) {
-                  controller.enqueue(encoder.encode(`data: ${JSON.stringify(openaiEvent)}\n\n`));
-                }
-              } catch (e) {
-                console.error('Error parsing SSE data:', e, data);
-              }
-            }
-          }
+// 客户端限额配置项：每分钟请求数、每天 token 数（含缓存读写）、每月费用（美元）
+const CLIENT_LIMIT_OPTIONS = ['requestsPerMinute', 'tokensPerDay', 'spendPerMonth'];
+
+// 超出限额时的处理方式：reject（返回 429）或 monitor（只记录日志和响应头）
+const LIMIT_ENFORCEMENTS = ['reject', 'monitor'];
+
+/**
+ * 规范化并校验客户端限额，未配置的限额为 null（不限制）
+ * limits: { requestsPerMinute: 60, tokensPerDay: 5000000, spendPerMonth: 100 }
+ */
+function normalizeClientLimits(limits, label, errors) {
+  const normalized = Object.fromEntries(CLIENT_LIMIT_OPTIONS.map(option => [option, null]));
+  if (limits === undefined || limits === null) {
+    return normalized;
+  }
+  if (typeof limits !== 'object') {
+    errors.push(`${label} must be an object`);
+    return normalized;
+  }
+
+  for (const [option, value] of Object.entries(limits)) {
+    if (option === 'enforcement') {
+      continue;
+    }
+    if (!CLIENT_LIMIT_OPTIONS.includes(option)) {
+      errors.push(`${label}.${option} is not a known limit`);
+    } else if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push(`${label}.${option} must be a non-negative number or null`);
+    } else {
+      normalized[option] = value;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * 规范化并校验全局客户端限额配置（每个客户端密钥单独计数）
+ * limits: { requestsPerMinute, tokensPerDay, spendPerMonth, enforcement: 'reject' | 'monitor' }
+ * 内存存储的计数只在单个 Worker 实例内有效，无法限制客户端，因此限额需要 kv 或 durable_object 存储
+ */
+function normalizeLimitsConfig(limits, stateStore, errors) {
+  const enforcement = limits?.enforcement ?? 'reject';
+  if (!LIMIT_ENFORCEMENTS.includes(enforcement)) {
+    errors.push(`limits.enforcement must be one of ${LIMIT_ENFORCEMENTS.join(', ')}`);
+  }
+  const normalized = normalizeClientLimits(limits, 'limits', errors);
+  if (hasClientLimits(normalized) && stateStore.type === 'memory') {
+    errors.push('limits requires a kv or durable_object stateStore');
+  }
+  return { ...normalized, enforcement };
+}
+
+/**
+ * 规范化并校验虚拟密钥配置
+ * virtualKeys: { enabled: true }
+ * 虚拟密钥需要持久的状态存储（kv 或 durable_object）
+ */
+function normalizeVirtualKeysConfig(virtualKeys, stateStore, errors) {
+  const enabled = virtualKeys?.enabled === true;
+  if (enabled && stateStore.type === 'memory') {
+    errors.push('virtualKeys requires a kv or durable_object stateStore');
+  }
+  return { enabled };
+}
+
+// 各类状态存储的默认绑定名称
+const STATE_STORE_BINDINGS = {
+  kv: 'ROUTER_KV',
+  durable_object: 'ROUTER_STATE'
+};
+
+/**
+ * 规范化并校验状态存储配置
+ * stateStore: { type: 'memory' | 'kv' | 'durable_object', binding: 'ROUTER_KV', ttl: 86400 }
+ */
+function normalizeStateStoreConfig(stateStore, env, errors) {
+  const type = stateStore?.type || 'memory';
+  if (type === 'memory') {
+    return { type };
+  }
+  if (!STATE_STORE_BINDINGS[type]) {
+    errors.push(`stateStore.type must be one of memory, kv, durable_object`);
+    return { type: 'memory' };
+  }
+
+  const binding = stateStore.binding || STATE_STORE_BINDINGS[type];
+  if (!env?.[binding]) {
+    errors.push(`stateStore binding "${binding}" is not configured`);
+  }
+  if (stateStore.ttl !== undefined && (typeof stateStore.ttl !== 'number' || stateStore.ttl < 60)) {
+    errors.push('stateStore.ttl must be a number of at least 60 seconds');
+  }
+
+  return { type, binding, ttl: stateStore.ttl ?? null };
+}
+
+/**
+ * 规范化并校验路由配置，返回按价格排序后的配置
+ * 配置有误时抛出错误，列出所有问题
+ */
+function normalizeRouterConfig(raw, env) {
+  const errors = [];
+
+  const sources = [];
+  if (!Array.isArray(raw.sources) || raw.sources.length === 0) {
+    errors.push('sources must be a non-empty array');
+  } else {
+    raw.sources.forEach((source, index) => {
+      const label = `sources[${index}]`;
+      if (!source || typeof source !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      let baseUrl = null;
+      try {
+        const parsed = new URL(source.baseUrl);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+          errors.push(`${label}.baseUrl must use http or https`);
         }
+        baseUrl = parsed.origin + parsed.pathname.replace(/\/+$/, '');
       } catch (error) {
-        console.error('Stream conversion error:', error);
-        controller.error(error);
+        errors.push(`${label}.baseUrl is not a valid URL`);
+        return;
+      }
+
+      if (source.tiers !== undefined && (!Array.isArray(source.tiers) || source.tiers.length === 0 || !source.tiers.every(tier => typeof tier === 'string'))) {
+        errors.push(`${label}.tiers must be a non-empty array of endpoint names`);
+        return;
+      }
+
+      sources.push({
+        name: source.name || new URL(baseUrl).hostname,
+        baseUrl,
+        auth: normalizeSourceAuth(source.auth, label, env, errors),
+        // 源只服务指定的档位（如 OpenAI 兼容后端只作为最后的档位），未设置时服务所有档位
+        tiers: source.tiers ?? null,
+        // 源单独的请求头策略，在全局策略之后应用
+        headers: normalizeHeaderPolicy(source.headers, `${label}.headers`, errors)
+      });
+    });
+  }
+
+  const breakerDefaults = Object.fromEntries(
+    Object.entries(CIRCUIT_BREAKER_OPTIONS).map(([option, key]) => [option, HEALTH_CHECK_CONFIG[key]])
+  );
+  const globalBreaker = normalizeCircuitBreakerConfig(raw.circuitBreaker, breakerDefaults, 'circuitBreaker', errors);
+  const globalAttempt = normalizeAttemptConfig(raw.attempt, DEFAULT_ATTEMPT_CONFIG, 'attempt', errors);
+
+  const endpoints = [];
+  if (!Array.isArray(raw.endpoints) || raw.endpoints.length === 0) {
+    errors.push('endpoints must be a non-empty array');
+  } else {
+    raw.endpoints.forEach((endpoint, index) => {
+      const label = `endpoints[${index}]`;
+      if (!endpoint || typeof endpoint !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof endpoint.path !== 'string' || (endpoint.path && !endpoint.path.startsWith('/')) || endpoint.path.endsWith('/')) {
+        errors.push(`${label}.path must be empty or start with "/" and have no trailing slash`);
+        return;
+      }
+      if (endpoint.price !== undefined && (typeof endpoint.price !== 'number' || !Number.isFinite(endpoint.price))) {
+        errors.push(`${label}.price must be a finite number`);
+        return;
+      }
+      if (endpoint.costMultiplier !== undefined && (typeof endpoint.costMultiplier !== 'number' || !(endpoint.costMultiplier >= 0))) {
+        errors.push(`${label}.costMultiplier must be a non-negative number`);
+        return;
+      }
+      if (endpoint.countTokens !== undefined && typeof endpoint.countTokens !== 'boolean') {
+        errors.push(`${label}.countTokens must be a boolean`);
+        return;
+      }
+      if (endpoint.provider !== undefined && !Object.hasOwn(PROVIDER_ADAPTERS, endpoint.provider)) {
+        errors.push(`${label}.provider must be one of ${Object.keys(PROVIDER_ADAPTERS).join(', ')}`);
+        return;
+      }
+
+      endpoints.push({
+        name: endpoint.name || deriveEndpointName(endpoint.path),
+        path: endpoint.path,
+        price: endpoint.price ?? index + 1,
+        // 档位支持的模型和模型名称改写
+        ...normalizeEndpointModels(endpoint, label, errors),
+        // 每个档位可以单独设置熔断阈值
+        circuitBreaker: toCircuitBreakerSettings(
+          normalizeCircuitBreakerConfig(endpoint.circuitBreaker, globalBreaker, `${label}.circuitBreaker`, errors)
+        ),
+        // 每个档位可以单独设置超时和对冲
+        attempt: toAttemptSettings(
+          normalizeAttemptConfig(endpoint.attempt, globalAttempt, `${label}.attempt`, errors)
+        ),
+        // 档位单独的价格表，未匹配时使用全局价格乘以 costMultiplier
+        pricing: normalizePricingTable(endpoint.pricing, `${label}.pricing`, errors),
+        costMultiplier: endpoint.costMultiplier ?? 1,
+        // 上游 API 格式，见 PROVIDER_ADAPTERS
+        provider: endpoint.provider ?? 'anthropic',
+        // 是否支持 count_tokens，未配置时根据请求结果判断
+        countTokens: endpoint.countTokens ?? null,
+        // 档位单独的请求头策略，在全局和源的策略之后应用
+        headers: normalizeHeaderPolicy(endpoint.headers, `${label}.headers`, errors)
+      });
+    });
+  }
+
+  const stateStore = normalizeStateStoreConfig(raw.stateStore, env, errors);
+  const probe = normalizeProbeConfig(raw.probe, env, errors);
+  // 自定义价格优先于默认价格
+  const pricing = [
+    ...normalizePricingTable(raw.pricing, 'pricing', errors),
+    ...normalizePricingTable(DEFAULT_MODEL_PRICING, 'DEFAULT_MODEL_PRICING', errors)
+  ];
+  const usage = normalizeUsageConfig(raw.usage, endpoints, errors);
+  const virtualKeys = normalizeVirtualKeysConfig(raw.virtualKeys, stateStore, errors);
+  const limits = normalizeLimitsConfig(raw.limits, stateStore, errors);
+  const selection = normalizeSelectionConfig(raw.selection, errors);
+  const logging = normalizeLoggingConfig(raw.logging, errors);
+  const metrics = normalizeMetricsConfig(raw.metrics, errors);
+  const cache = normalizeCacheConfig(raw.cache, env, errors);
+  const headers = normalizeHeaderPolicy(raw.headers, 'headers', errors);
+
+  // 名称和路径必须唯一（健康状态和调试头都依赖名称）
+  const checkUnique = (items, field, label) => {
+    const seen = new Set();
+    for (const item of items) {
+      if (seen.has(item[field])) {
+        errors.push(`duplicate ${label} ${field} "${item[field]}"`);
+      }
+      seen.add(item[field]);
+    }
+  };
+  checkUnique(sources, 'name', 'source');
+  checkUnique(endpoints, 'name', 'endpoint');
+  checkUnique(endpoints, 'path', 'endpoint');
+  sources.forEach((source, index) => {
+    for (const tier of source.tiers || []) {
+      if (!endpoints.some(endpoint => endpoint.name === tier)) {
+        errors.push(`sources[${index}].tiers references unknown endpoint "${tier}"`);
       }
     }
   });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid router config: ${errors.join('; ')}`);
+  }
+
+  // 按价格从低到高排序（价格相同时保持书写顺序）
+  endpoints.sort((a, b) => a.price - b.price);
+
+  return { sources, endpoints, stateStore, probe, pricing, usage, virtualKeys, limits, selection, logging, metrics, cache, headers };
 }
 
 /**
- * 转换 Claude Messages API 响应格式为 OpenAI Chat Completions 格式
+ * 加载路由配置（带缓存），首次请求时完成校验
  */
-function convertClaudeToOpenAI(claudeResponse, model) {
-  return {
-    id: claudeResponse.id || `chatcmpl-${Date.now()}`,
-    object: 'chat.completion',
-    created: Math.floor(Date.now() / 1000),
-    model: model || 'claude-3-5-sonnet-20241022',
-    choices: [
-      {
-        index: 0,
-        message: {
-          role: 'assistant',
-          content: claudeResponse.content?.[0]?.text || ''
-        },
-        finish_reason: claudeResponse.stop_reason === 'end_turn' ? 'stop' :
-                      claudeResponse.stop_reason === 'max_tokens' ? 'length' :
-                      claudeResponse.stop_reason || 'stop'
+function loadRouterConfig(env) {
+  // 绑定和 Secret 名称也参与缓存键，新增或移除绑定时重新校验
+  const rawKey = JSON.stringify([
+    env?.ROUTER_CONFIG ?? null,
+    env?.TARGET_BASE_URLS ?? null,
+    env?.ENDPOINTS ?? null,
+    Object.keys(env || {}).sort()
+  ]);
+
+  if (routerConfigCache.raw === rawKey) {
+    return routerConfigCache.config;
+  }
+
+  const config = normalizeRouterConfig(readRawRouterConfig(env), env);
+  routerConfigCache.raw = rawKey;
+  routerConfigCache.config = config;
+  return config;
+}
+
+// 熔断器状态
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',        // 正常，所有请求可以通过
+  OPEN: 'open',            // 熔断中，冷却期内不可用
+  HALF_OPEN: 'half_open'   // 冷却期结束，只允许有限数量的试探请求
+};
+
+// 端点健康状态的初始值
+const DEFAULT_HEALTH_STATE = {
+  state: CIRCUIT_STATE.CLOSED,
+  failures: 0,          // 连续失败次数
+  lastFailTime: 0,
+  openUntil: 0,         // 冷却结束时间
+  openCount: 0,         // 连续熔断次数（用于指数退避）
+  closedAt: 0,          // 最近一次恢复的时间
+  halfOpenInFlight: 0,  // 半开状态下进行中的试探请求数
+  lastPermitAt: 0,
+  lastPermitId: null,
+  tokenBudget: null,    // 上游报告的剩余 token 额度 { remaining, resetAt }
+  lastError: null       // 最近一次失败 { status, message, at }
+};
+
+// "端点+源"滚动统计的初始值（EWMA，与熔断状态分开保存，源选择策略使用）
+const DEFAULT_SOURCE_STATS = {
+  latencyMs: null,      // 收到响应头的耗时
+  ttftMs: null,         // 流式响应的首 token 耗时
+  successRate: null,    // 成功率（0 ~ 1）
+  samples: 0,           // 计入成功率的请求数
+  updatedAt: 0
+};
+
+// 管理员手动覆盖（禁用的"端点+源"、固定档位）的存储键，与健康状态分开保存，重置健康状态不影响手动覆盖
+const OVERRIDES_KEY = 'overrides';
+
+// 手动覆盖的初始值
+const DEFAULT_OVERRIDES = {
+  disabled: {},  // 被禁用的目标 { 'droid-newcli': { reason, at } }
+  pin: null      // 固定的档位 { endpoint, source, reason, at }，source 为空表示该档位的所有源
+};
+
+/**
+ * 计算熔断时长：随连续熔断次数指数增长，带随机抖动
+ */
+function computeOpenDuration(openCount, breaker) {
+  const base = Math.min(breaker.openDurationMs * 2 ** openCount, breaker.maxOpenDurationMs);
+  const jitter = 1 + (Math.random() * 2 - 1) * breaker.jitterRatio;
+  return Math.round(base * jitter);
+}
+
+/**
+ * 状态转换函数
+ * 内存和 KV 存储在 Worker 内执行（读取 -> 转换 -> 写回），
+ * Durable Object 存储在对象内部执行，保证同一个键的更新是原子的
+ * 转换函数返回 undefined 表示状态无需变化
+ */
+const STATE_TRANSITIONS = {
+  /**
+   * 记录端点失败
+   * - 上游给出了恢复时间（限流）时，立即熔断到该时间，不计入退避
+   * - 闭合状态下连续失败次数达到阈值后熔断
+   * - 半开状态下试探失败立即重新熔断，熔断时长指数增长
+   * @param {object} breaker - 熔断器设置（toCircuitBreakerSettings）
+   * @param {number|null} immediateCooldownMs - 立即熔断的时长
+   * @param {object|null} tokenBudget - 上游报告的剩余 token 额度 { remaining, resetAt }
+   * @param {object|null} lastError - 失败信息 { status, message }
+   */
+  recordFailure(health, now, breaker, immediateCooldownMs = null, tokenBudget = null, lastError = null) {
+    const next = { ...DEFAULT_HEALTH_STATE, ...health };
+    next.failures++;
+    next.lastFailTime = now;
+    if (tokenBudget) {
+      next.tokenBudget = tokenBudget;
+    }
+    if (lastError) {
+      next.lastError = { ...lastError, at: now };
+    }
+
+    if (immediateCooldownMs !== null) {
+      next.state = CIRCUIT_STATE.OPEN;
+      next.openUntil = Math.max(next.openUntil, now + immediateCooldownMs);
+      next.halfOpenInFlight = 0;
+      return next;
+    }
+
+    if (next.state === CIRCUIT_STATE.CLOSED) {
+      if (next.failures < breaker.failureThreshold) {
+        return next;
       }
-    ],
-    usage: {
-      prompt_tokens: claudeResponse.usage?.input_tokens || 0,
-      completion_tokens: claudeResponse.usage?.output_tokens || 0,
-      total_tokens: (claudeResponse.usage?.input_tokens || 0) + (claudeResponse.usage?.output_tokens || 0)
+      // 恢复后保持健康足够久，退避重新计算
+      if (now - next.closedAt > breaker.backoffResetMs) {
+        next.openCount = 0;
+      }
+    } else if (next.state === CIRCUIT_STATE.OPEN && now < next.openUntil) {
+      // 熔断前发出的请求返回失败，不重复延长冷却期
+      return next;
+    }
+
+    next.state = CIRCUIT_STATE.OPEN;
+    next.openUntil = now + computeOpenDuration(next.openCount, breaker);
+    next.openCount++;
+    next.halfOpenInFlight = 0;
+    return next;
+  },
+
+  /**
+   * 记录端点成功：闭合熔断器，重置失败记录并更新剩余 token 额度
+   * 连续熔断次数保留，由 backoffResetMs 决定何时清零（避免反复抖动的端点每次都从最短冷却开始）
+   */
+  recordSuccess(health, now, tokenBudget = null) {
+    const unhealthy = health && (health.failures > 0 || (health.state && health.state !== CIRCUIT_STATE.CLOSED));
+    // 如果端点一直健康且没有新的额度信息，不需要写入存储
+    if (!unhealthy && !tokenBudget) {
+      return undefined;
+    }
+
+    const next = { ...DEFAULT_HEALTH_STATE, ...health };
+    if (next.state !== CIRCUIT_STATE.CLOSED) {
+      next.closedAt = now;
+    }
+    next.state = CIRCUIT_STATE.CLOSED;
+    next.failures = 0;
+    next.openUntil = 0;
+    next.halfOpenInFlight = 0;
+    next.tokenBudget = tokenBudget ?? next.tokenBudget;
+    return next;
+  },
+
+  /**
+   * 申请半开试探许可
+   * 冷却期结束后进入半开状态，最多允许 halfOpenMaxRequests 个试探请求同时进行
+   * 获得许可时记录 permitId，调用方据此判断是否获得许可
+   */
+  acquirePermit(health, now, breaker, permitId) {
+    const next = { ...DEFAULT_HEALTH_STATE, ...health };
+    if (next.state === CIRCUIT_STATE.CLOSED) {
+      return undefined;
+    }
+    if (next.state === CIRCUIT_STATE.OPEN) {
+      if (now < next.openUntil) {
+        return undefined;
+      }
+      next.state = CIRCUIT_STATE.HALF_OPEN;
+      next.halfOpenInFlight = 0;
+    }
+
+    // 试探请求长时间没有结果（如 Worker 被中断），释放许可
+    if (next.halfOpenInFlight > 0 && now - next.lastPermitAt > breaker.halfOpenTimeoutMs) {
+      next.halfOpenInFlight = 0;
+    }
+    if (next.halfOpenInFlight >= breaker.halfOpenMaxRequests) {
+      return undefined;
+    }
+
+    next.halfOpenInFlight++;
+    next.lastPermitAt = now;
+    next.lastPermitId = permitId;
+    return next;
+  },
+
+  /**
+   * 归还半开试探许可（试探请求既没有证明端点健康也没有证明端点故障时，如客户端错误）
+   */
+  releasePermit(health) {
+    if (!health || health.state !== CIRCUIT_STATE.HALF_OPEN || !(health.halfOpenInFlight > 0)) {
+      return undefined;
+    }
+    return { ...health, halfOpenInFlight: health.halfOpenInFlight - 1 };
+  },
+
+  /**
+   * 禁用或启用某个"端点+源"（作用于 OVERRIDES_KEY）
+   * @param {string} target - 目标名称（如 droid-newcli）
+   * @param {object|null} value - 禁用信息 { reason, at }，为空表示启用
+   */
+  setDisabled(overrides, target, value) {
+    const next = { ...DEFAULT_OVERRIDES, ...overrides };
+    next.disabled = { ...next.disabled };
+    if (value) {
+      next.disabled[target] = value;
+    } else if (target in next.disabled) {
+      delete next.disabled[target];
+    } else {
+      return undefined;
+    }
+    return next;
+  },
+
+  /**
+   * 固定或取消固定档位（作用于 OVERRIDES_KEY）
+   * @param {object|null} pin - 固定信息 { endpoint, source, reason, at }，为空表示取消固定
+   */
+  setPin(overrides, pin) {
+    return { ...DEFAULT_OVERRIDES, ...overrides, pin };
+  },
+
+  /**
+   * 更新虚拟密钥索引（作用于 VIRTUAL_KEY_INDEX_KEY）
+   * @param {string} id - 密钥 ID
+   * @param {string|null} hash - 密钥哈希，为空表示从索引中移除
+   */
+  indexVirtualKey(index, id, hash) {
+    const next = { ...index };
+    if (hash) {
+      next[id] = hash;
+    } else {
+      delete next[id];
+    }
+    return next;
+  },
+
+  /**
+   * 吊销虚拟密钥（作用于 vkey:<哈希> 键）
+   */
+  revokeVirtualKey(record, now) {
+    if (!record || record.revokedAt) {
+      return undefined;
+    }
+    return { ...record, revokedAt: now };
+  },
+
+  /**
+   * 客户端请求准入（作用于 limits:<密钥> 键）
+   * 进入新的时间窗口时重置计数；未超限（或只监控不拒绝）时计数并记录 requestId，调用方据此判断是否准入
+   * @param {object} limits - 生效的客户端限额
+   * @param {boolean} enforce - 超限时是否拒绝
+   */
+  admitRequest(counters, now, limits, requestId, enforce) {
+    const next = resetLimitWindows(counters, now);
+    if (enforce && findExceededLimit(next, limits)) {
+      return next;
+    }
+    next.requests++;
+    next.lastRequestId = requestId;
+    return next;
+  },
+
+  /**
+   * 累加客户端的 token 用量和费用（作用于 limits:<密钥> 键）
+   */
+  addConsumption(counters, now, tokens, cost) {
+    const next = resetLimitWindows(counters, now);
+    next.tokens += tokens;
+    next.spend += cost;
+    return next;
+  },
+
+  /**
+   * 记录一次请求的延迟和结果（作用于 stats:<端点>-<源>:<模型系列> 键）
+   * @param {object} sample - { latencyMs, ttftMs, success }，为空的项不更新
+   * @param {number} alpha - EWMA 平滑系数
+   */
+  recordSample(stats, now, sample, alpha) {
+    const next = { ...DEFAULT_SOURCE_STATS, ...stats, updatedAt: now };
+    const ewma = (current, value) => (current === null ? value : current + alpha * (value - current));
+    if (sample.latencyMs != null) {
+      next.latencyMs = ewma(next.latencyMs, sample.latencyMs);
+    }
+    if (sample.ttftMs != null) {
+      next.ttftMs = ewma(next.ttftMs, sample.ttftMs);
+    }
+    if (sample.success != null) {
+      next.successRate = ewma(next.successRate, sample.success ? 1 : 0);
+      next.samples++;
+    }
+    return next;
+  },
+
+  /**
+   * 累加用量统计（作用于 usage:<日期>:<密钥哈希|档位|源|模型> 分片键）
+   * @param {object} delta - 本次请求的用量 { requests, inputTokens, ..., cost, baselineCost }
+   */
+  addUsage(stats, delta) {
+    const next = {};
+    for (const field of USAGE_FIELDS) {
+      next[field] = (stats?.[field] || 0) + (delta[field] || 0);
+    }
+    return next;
+  },
+
+  /**
+   * 累加 Prometheus 指标（作用于 metrics:<档位|源> 分片键）
+   * @param {object} delta - 本次请求的指标增量，结构与存储相同：
+   *   { requests, failovers, tokens: { 标签组合: 计数 }, latency: { 标签组合: { buckets, sum, count } } }
+   */
+  addMetrics(metrics, delta) {
+    const next = { ...metrics };
+    for (const series of METRIC_COUNTER_SERIES) {
+      next[series] = { ...next[series] };
+      for (const [key, value] of Object.entries(delta[series] || {})) {
+        next[series][key] = (next[series][key] || 0) + value;
+      }
+    }
+    next.latency = { ...next.latency };
+    for (const [key, sample] of Object.entries(delta.latency || {})) {
+      const current = next.latency[key] || { buckets: METRICS_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      next.latency[key] = {
+        buckets: current.buckets.map((count, index) => count + (sample.buckets[index] || 0)),
+        sum: current.sum + sample.sum,
+        count: current.count + sample.count
+      };
+    }
+    return next;
+  }
+};
+
+// 用量统计字段（费用单位为美元）
+const USAGE_FIELDS = ['requests', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'cost', 'baselineCost'];
+
+// Prometheus 指标的存储键前缀：按"档位+源"分片，不同目标的请求不会更新同一个键
+const METRICS_KEY_PREFIX = 'metrics:';
+
+// 以计数器保存的指标：请求数、失败后切换目标的次数、token 数
+const METRIC_COUNTER_SERIES = ['requests', 'failovers', 'tokens'];
+
+// 上游延迟直方图的桶上限（秒）
+const METRICS_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// anthropic-ratelimit-* 头中的限额类型
+const RATE_LIMIT_KINDS = ['requests', 'tokens', 'input-tokens', 'output-tokens'];
+
+/**
+ * 解析上游响应中的限流信息（Retry-After 和 anthropic-ratelimit-* 头）
+ * 返回 {
+ *   retryAfterMs: Retry-After 指定的等待时长,
+ *   resetAfterMs: 已耗尽的限额中最晚的重置时间距现在的时长,
+ *   tokenBudget: 剩余 token 额度 { remaining, resetAt }（优先使用输入 token 额度）
+ * }
+ */
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  const info = { retryAfterMs: null, resetAfterMs: null, tokenBudget: null };
+
+  // Retry-After 可以是秒数或 HTTP 日期
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(delayMs) && delayMs >= 0) {
+      info.retryAfterMs = delayMs;
+    }
+  }
+
+  // 已耗尽（remaining 为 0）的限额，取最晚的重置时间
+  for (const kind of RATE_LIMIT_KINDS) {
+    const remaining = headers.get(`anthropic-ratelimit-${kind}-remaining`);
+    const resetAt = Date.parse(headers.get(`anthropic-ratelimit-${kind}-reset`) || '');
+    if (remaining !== null && Number(remaining) <= 0 && Number.isFinite(resetAt) && resetAt > now) {
+      info.resetAfterMs = Math.max(info.resetAfterMs ?? 0, resetAt - now);
+    }
+  }
+
+  for (const kind of ['input-tokens', 'tokens']) {
+    const remaining = headers.get(`anthropic-ratelimit-${kind}-remaining`);
+    const resetAt = Date.parse(headers.get(`anthropic-ratelimit-${kind}-reset`) || '');
+    if (remaining !== null && Number.isFinite(Number(remaining)) && Number.isFinite(resetAt)) {
+      info.tokenBudget = { remaining: Number(remaining), resetAt };
+      break;
+    }
+  }
+
+  return info;
+}
+
+// 本地 token 估算参数：约 3.5 个字符一个 token，中日韩字符每个字符一个 token
+const ESTIMATE_CHARS_PER_TOKEN = 3.5;
+// 图片按缩放后的最大尺寸估算，PDF 按每页文本加页面图片估算
+const ESTIMATE_IMAGE_TOKENS = 1600;
+const ESTIMATE_PDF_PAGE_TOKENS = 2000;
+// 每条消息的格式开销，以及使用工具时注入的工具系统提示
+const ESTIMATE_MESSAGE_TOKENS = 4;
+const ESTIMATE_TOOL_SYSTEM_TOKENS = 346;
+
+/**
+ * 估算文本的 token 数
+ */
+function estimateTextTokens(text) {
+  if (typeof text !== 'string' || !text) {
+    return 0;
+  }
+  const cjk = text.match(/[\u3000-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/g)?.length || 0;
+  return cjk + (text.length - cjk) / ESTIMATE_CHARS_PER_TOKEN;
+}
+
+/**
+ * 估算 PDF 文档的页数（统计 /Type /Page 对象），无法解析时按 1 页计算
+ */
+function estimatePdfPages(source) {
+  if (source?.type !== 'base64' || typeof source.data !== 'string') {
+    return 1;
+  }
+  try {
+    return Math.max(atob(source.data).match(/\/Type\s*\/Page(?!s)/g)?.length || 0, 1);
+  } catch (e) {
+    return 1;
+  }
+}
+
+/**
+ * 估算 Claude 消息内容（字符串或内容块数组）的 token 数
+ * 与 count_tokens 一致，之前轮次的思考块不计入
+ */
+function estimateContentTokens(content) {
+  if (typeof content === 'string') {
+    return estimateTextTokens(content);
+  }
+  if (!Array.isArray(content)) {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const block of content) {
+    switch (block?.type) {
+      case 'text':
+        tokens += estimateTextTokens(block.text);
+        break;
+      case 'image':
+        tokens += ESTIMATE_IMAGE_TOKENS;
+        break;
+      case 'document':
+        if (block.source?.type === 'text') {
+          tokens += estimateTextTokens(block.source.data);
+        } else if (block.source?.type === 'content') {
+          tokens += estimateContentTokens(block.source.content);
+        } else {
+          tokens += estimatePdfPages(block.source) * ESTIMATE_PDF_PAGE_TOKENS;
+        }
+        break;
+      case 'tool_result':
+        tokens += estimateContentTokens(block.content);
+        break;
+      case 'thinking':
+      case 'redacted_thinking':
+        break;
+      default:
+        // tool_use 等其他内容块按 JSON 文本估算
+        tokens += estimateTextTokens(JSON.stringify(block));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 在本地估算请求的输入 token 数（系统提示、消息、工具定义和图片）
+ * 用于所有档位都无法计数时的 count_tokens 兜底，以及与上游报告的剩余额度比较；结果与上游的计数可能有较大偏差
+ */
+function estimateInputTokens(claudeRequest) {
+  let tokens = estimateContentTokens(claudeRequest.system);
+  for (const message of claudeRequest.messages || []) {
+    tokens += ESTIMATE_MESSAGE_TOKENS + estimateContentTokens(message?.content);
+  }
+  if (Array.isArray(claudeRequest.tools) && claudeRequest.tools.length > 0) {
+    tokens += ESTIMATE_TOOL_SYSTEM_TOKENS;
+    for (const tool of claudeRequest.tools) {
+      tokens += estimateTextTokens(JSON.stringify(tool));
+    }
+  }
+  return Math.max(Math.ceil(tokens), 1);
+}
+
+/**
+ * 内存状态存储（默认）
+ * 使用全局 Map，同一 Worker 实例内共享，实例回收后状态丢失
+ */
+class MemoryStateStore {
+  async get(key) {
+    return globalStateCache.get(key) ?? null;
+  }
+
+  async getMany(keys) {
+    return Object.fromEntries(keys.map(key => [key, globalStateCache.get(key) ?? null]));
+  }
+
+  async put(key, value) {
+    globalStateCache.set(key, value);
+  }
+
+  async delete(key) {
+    globalStateCache.delete(key);
+  }
+
+  async update(key, op, args = []) {
+    const next = STATE_TRANSITIONS[op](globalStateCache.get(key) ?? null, ...args);
+    if (next !== undefined) {
+      globalStateCache.set(key, next);
+    }
+    return next ?? globalStateCache.get(key) ?? null;
+  }
+
+  async list(prefix) {
+    return Object.fromEntries([...globalStateCache].filter(([key]) => key.startsWith(prefix)));
+  }
+}
+
+/**
+ * KV 状态存储
+ * 跨实例和数据中心共享，最终一致（写入传播到其他数据中心可能需要约 60 秒）
+ */
+class KVStateStore {
+  /**
+   * @param {KVNamespace} kv - KV 命名空间绑定
+   * @param {number|null} ttl - 健康状态过期时间（秒），为空表示不过期
+   */
+  constructor(kv, ttl = null) {
+    this.kv = kv;
+    this.ttl = ttl;
+  }
+
+  async get(key) {
+    return await this.kv.get(key, 'json');
+  }
+
+  async getMany(keys) {
+    const values = await Promise.all(keys.map(key => this.get(key)));
+    return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+  }
+
+  async put(key, value) {
+    // 只有健康状态和源的滚动统计设置过期时间，手动覆盖、虚拟密钥和用量统计需要持久保存
+    const options = this.ttl && (key.startsWith('health:') || key.startsWith('stats:')) ? { expirationTtl: this.ttl } : undefined;
+    await this.kv.put(key, JSON.stringify(value), options);
+  }
+
+  async delete(key) {
+    await this.kv.delete(key);
+  }
+
+  async update(key, op, args = []) {
+    // KV 不支持原子操作，并发更新可能互相覆盖
+    const current = await this.get(key);
+    const next = STATE_TRANSITIONS[op](current, ...args);
+    if (next !== undefined) {
+      await this.put(key, next);
+    }
+    return next ?? current;
+  }
+
+  async list(prefix) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix, cursor });
+      keys.push(...page.keys.map(item => item.name));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    const values = await Promise.all(keys.map(key => this.get(key)));
+    return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+  }
+}
+
+/**
+ * Durable Object 状态存储
+ * 所有状态集中在同一个 Durable Object 中，更新在对象内部原子执行，强一致
+ */
+class DurableObjectStateStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - Durable Object 命名空间绑定
+   */
+  constructor(namespace) {
+    this.stub = namespace.get(namespace.idFromName('global'));
+  }
+
+  async call(action, payload) {
+    const response = await this.stub.fetch(`https://router-state/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      throw new Error(`State object ${action} failed: ${response.status} ${await response.text()}`);
+    }
+    return (await response.json()).value ?? null;
+  }
+
+  async get(key) {
+    return await this.call('get', { key });
+  }
+
+  async getMany(keys) {
+    return (await this.call('getMany', { keys })) || {};
+  }
+
+  async put(key, value) {
+    await this.call('put', { key, value });
+  }
+
+  async delete(key) {
+    await this.call('delete', { key });
+  }
+
+  async update(key, op, args = []) {
+    return await this.call('update', { key, op, args });
+  }
+
+  async list(prefix) {
+    return (await this.call('list', { prefix })) || {};
+  }
+}
+
+/**
+ * 请求内的状态缓存：包装 KV 或 Durable Object 存储，同一请求中读取过的键不再访问远程存储
+ * 写入和原子更新的结果同步到缓存；只在单个请求内使用，其他请求的更新在之后的请求中才能看到
+ */
+class RequestStateCache {
+  /**
+   * @param {object} store - 底层状态存储
+   */
+  constructor(store) {
+    this.store = store;
+    this.values = new Map();  // 键 -> 值的 Promise
+  }
+
+  /**
+   * 一次读取多个键（Durable Object 只需一次往返），已缓存的键跳过
+   */
+  async prefetch(keys) {
+    const missing = [...new Set(keys)].filter(key => !this.values.has(key));
+    if (missing.length === 0) {
+      return;
+    }
+    const values = await this.store.getMany(missing);
+    for (const key of missing) {
+      this.values.set(key, Promise.resolve(values[key] ?? null));
+    }
+  }
+
+  async get(key) {
+    if (!this.values.has(key)) {
+      const value = this.store.get(key);
+      this.values.set(key, value);
+      // 读取失败的键不缓存，下次读取时重试
+      value.catch(() => this.values.delete(key));
+    }
+    return await this.values.get(key);
+  }
+
+  async getMany(keys) {
+    await this.prefetch(keys);
+    const values = await Promise.all(keys.map(key => this.values.get(key)));
+    return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+  }
+
+  async put(key, value) {
+    await this.store.put(key, value);
+    this.values.set(key, Promise.resolve(value));
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+    this.values.set(key, Promise.resolve(null));
+  }
+
+  async update(key, op, args = []) {
+    const next = await this.store.update(key, op, args);
+    this.values.set(key, Promise.resolve(next));
+    return next;
+  }
+
+  async list(prefix) {
+    return await this.store.list(prefix);
+  }
+
+  /**
+   * 丢弃缓存的值，下次读取时访问底层存储
+   */
+  forget(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * 路由状态 Durable Object
+ * 在对象内部执行 STATE_TRANSITIONS，同一对象内的请求串行处理，计数器强一致
+ */
+export class RouterStateObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const { key, keys, value, op, args, prefix } = await request.json();
+    const storage = this.state.storage;
+
+    if (action === 'get') {
+      return Response.json({ value: (await storage.get(key)) ?? null });
+    }
+
+    if (action === 'getMany') {
+      // storage.get 每次最多读取 128 个键
+      const values = {};
+      for (let i = 0; i < keys.length; i += 128) {
+        for (const [name, stored] of await storage.get(keys.slice(i, i + 128))) {
+          values[name] = stored;
+        }
+      }
+      return Response.json({ value: Object.fromEntries(keys.map(name => [name, values[name] ?? null])) });
+    }
+
+    if (action === 'put') {
+      await storage.put(key, value);
+      return Response.json({ value });
+    }
+
+    if (action === 'delete') {
+      await storage.delete(key);
+      return Response.json({ value: null });
+    }
+
+    if (action === 'update') {
+      const transition = STATE_TRANSITIONS[op];
+      if (!transition) {
+        return new Response(`Unknown state transition: ${op}`, { status: 400 });
+      }
+      const current = (await storage.get(key)) ?? null;
+      const next = transition(current, ...(args || []));
+      if (next !== undefined) {
+        await storage.put(key, next);
+      }
+      return Response.json({ value: next ?? current });
+    }
+
+    if (action === 'list') {
+      return Response.json({ value: Object.fromEntries(await storage.list({ prefix })) });
+    }
+
+    return new Response(`Unknown state action: ${action}`, { status: 404 });
+  }
+}
+
+/**
+ * 根据配置创建状态存储
+ * @param {object} env - Worker 环境变量和绑定
+ * @param {object} config - 路由配置
+ */
+function createStateStore(env, config) {
+  const { type, binding, ttl } = config.stateStore;
+
+  if (type === 'kv') {
+    return new KVStateStore(env[binding], ttl);
+  }
+  if (type === 'durable_object') {
+    return new DurableObjectStateStore(env[binding]);
+  }
+  return new MemoryStateStore();
+}
+
+/**
+ * 端点健康状态管理类（熔断器）
+ * 通过可插拔的状态存储保存健康状态（默认内存，可选 KV 或 Durable Object）
+ * 为每个"端点+源"组合单独维护一个熔断器：closed -> open -> half_open -> closed
+ */
+class EndpointHealthManager {
+  /**
+   * @param {object} config - 路由配置（用于将索引映射为端点和源名称）
+   * @param {object} store - 状态存储（MemoryStateStore / KVStateStore / DurableObjectStateStore）
+   * @param {string} modelFamily - 模型系列，健康状态按系列分别记录
+   */
+  constructor(config, store = new MemoryStateStore(), modelFamily = OTHER_MODEL_FAMILY) {
+    this.config = config;
+    this.store = store;
+    this.modelFamily = modelFamily;
+    this.overrides = { ...DEFAULT_OVERRIDES };
+    // 请求级别的路由限制（如虚拟密钥允许的档位和源），返回 false 表示不允许路由
+    this.routeFilter = null;
+  }
+
+  /**
+   * 返回记录指定模型系列健康状态的管理器（共享状态存储和手动覆盖）
+   */
+  forModelFamily(modelFamily) {
+    const manager = new EndpointHealthManager(this.config, this.store, modelFamily);
+    manager.overrides = this.overrides;
+    return manager;
+  }
+
+  /**
+   * 生成"端点+源"的名称（使用名称，配置调整顺序后状态仍然对应）
+   * @param {number} endpointIndex - 端点索引
+   * @param {number} baseUrlIndex - 基础 URL 索引
+   */
+  getTargetName(endpointIndex, baseUrlIndex) {
+    return `${this.config.endpoints[endpointIndex].name}-${this.config.sources[baseUrlIndex].name}`;
+  }
+
+  /**
+   * 生成健康状态的唯一键（如 health:droid-newcli:opus）
+   */
+  getHealthKey(endpointIndex, baseUrlIndex) {
+    return `health:${this.getTargetName(endpointIndex, baseUrlIndex)}:${this.modelFamily}`;
+  }
+
+  /**
+   * 一次读取手动覆盖和所有"端点+源"的健康状态、滚动统计（以及 count_tokens 支持情况）
+   * 只在状态存储支持预读（RequestStateCache）时生效，之后选择源时的读取不再访问远程存储
+   * @param {boolean} countTokens - 是否同时读取 count_tokens 支持情况
+   */
+  async prefetch(countTokens = false) {
+    if (!this.store.prefetch) {
+      return;
+    }
+    const keys = [OVERRIDES_KEY];
+    for (let endpointIndex = 0; endpointIndex < this.config.endpoints.length; endpointIndex++) {
+      for (let baseUrlIndex = 0; baseUrlIndex < this.config.sources.length; baseUrlIndex++) {
+        keys.push(this.getHealthKey(endpointIndex, baseUrlIndex));
+        if (this.config.selection.policy === 'weighted') {
+          keys.push(this.getStatsKey(endpointIndex, baseUrlIndex));
+        }
+        if (countTokens) {
+          keys.push(this.getCountTokensKey(endpointIndex, baseUrlIndex));
+        }
+      }
+    }
+    await this.store.prefetch(keys);
+  }
+
+  /**
+   * 加载管理员手动覆盖（每个请求开始时加载一次）
+   */
+  async loadOverrides() {
+    this.overrides = { ...DEFAULT_OVERRIDES, ...(await this.store.get(OVERRIDES_KEY)) };
+    return this.overrides;
+  }
+
+  /**
+   * 检查"端点+源"是否允许路由（源服务该档位、符合请求级别的限制、未被禁用，且符合固定的档位）
+   * 与熔断状态无关，不允许路由的目标即使作为兜底也不会尝试
+   */
+  isRoutable(endpointIndex, baseUrlIndex) {
+    const tiers = this.config.sources[baseUrlIndex].tiers;
+    if (tiers && !tiers.includes(this.config.endpoints[endpointIndex].name)) {
+      return false;
+    }
+    if (this.routeFilter && !this.routeFilter(endpointIndex, baseUrlIndex)) {
+      return false;
+    }
+    if (this.overrides.disabled[this.getTargetName(endpointIndex, baseUrlIndex)]) {
+      return false;
+    }
+    const pin = this.overrides.pin;
+    if (pin) {
+      if (pin.endpoint !== this.config.endpoints[endpointIndex].name) {
+        return false;
+      }
+      if (pin.source && pin.source !== this.config.sources[baseUrlIndex].name) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 获取端点所在档位的熔断器设置
+   */
+  getBreaker(endpointIndex) {
+    return this.config.endpoints[endpointIndex].circuitBreaker;
+  }
+
+  /**
+   * 获取端点健康状态
+   */
+  async getHealth(endpointIndex, baseUrlIndex) {
+    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+    const health = await this.store.get(key);
+
+    return { ...DEFAULT_HEALTH_STATE, ...health };
+  }
+
+  /**
+   * 保存端点健康状态
+   */
+  async saveHealth(endpointIndex, baseUrlIndex, health) {
+    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+    await this.store.put(key, health);
+  }
+
+  /**
+   * 检查端点是否可用（只读，不占用半开试探许可）
+   * @param {number} requestTokens - 本次请求的估算 token 数，上游报告的剩余额度不足时视为不可用
+   */
+  async isAvailable(endpointIndex, baseUrlIndex, requestTokens = 0) {
+    if (!this.isRoutable(endpointIndex, baseUrlIndex)) {
+      return false;
+    }
+
+    const health = await this.getHealth(endpointIndex, baseUrlIndex);
+    const now = Date.now();
+
+    if (health.state !== CIRCUIT_STATE.CLOSED) {
+      // 熔断冷却期内不可用
+      if (health.state === CIRCUIT_STATE.OPEN && now < health.openUntil) {
+        return false;
+      }
+      // 半开状态下试探许可已用完（超时的许可视为已释放）
+      const breaker = this.getBreaker(endpointIndex);
+      const permitExpired = now - health.lastPermitAt > breaker.halfOpenTimeoutMs;
+      if (health.state === CIRCUIT_STATE.HALF_OPEN && !permitExpired && health.halfOpenInFlight >= breaker.halfOpenMaxRequests) {
+        return false;
+      }
+    }
+
+    // 剩余 token 额度在重置前不足以容纳本次请求
+    const budget = health.tokenBudget;
+    if (budget && budget.resetAt > now && budget.remaining < requestTokens) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 发送请求前申请通过熔断器
+   * 闭合状态直接通过；冷却期结束后只有获得半开试探许可的请求可以通过
+   * @returns {Promise<boolean>} 是否可以发送请求
+   */
+  async tryAcquire(endpointIndex, baseUrlIndex) {
+    const health = await this.getHealth(endpointIndex, baseUrlIndex);
+    if (health.state === CIRCUIT_STATE.CLOSED) {
+      return true;
+    }
+
+    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+    const permitId = crypto.randomUUID();
+    const next = await this.store.update(key, 'acquirePermit', [Date.now(), this.getBreaker(endpointIndex), permitId]);
+    return next?.lastPermitId === permitId;
+  }
+
+  /**
+   * 归还半开试探许可（请求结果不能说明端点是否健康时调用）
+   */
+  async release(endpointIndex, baseUrlIndex) {
+    const health = await this.getHealth(endpointIndex, baseUrlIndex);
+    if (health.state === CIRCUIT_STATE.HALF_OPEN) {
+      const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+      await this.store.update(key, 'releasePermit');
+    }
+  }
+
+  /**
+   * 记录端点失败
+   * @param {number|null} status - 上游状态码（网络错误时为空）
+   * @param {object|null} rateLimit - parseRateLimitHeaders 解析出的限流信息
+   * @param {string|null} message - 错误信息（用于管理接口展示）
+   */
+  async recordFailure(endpointIndex, baseUrlIndex, status = null, rateLimit = null, message = null) {
+    const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+    const breaker = this.getBreaker(endpointIndex);
+
+    // 限流时立即熔断：优先使用 Retry-After，其次使用限额重置时间，都没有时使用档位的冷却时间
+    let immediateCooldownMs = rateLimit?.retryAfterMs ?? null;
+    if (status === 429 && immediateCooldownMs === null) {
+      immediateCooldownMs = rateLimit?.resetAfterMs ?? breaker.openDurationMs;
+    }
+
+    await this.store.update(key, 'recordFailure', [
+      Date.now(),
+      breaker,
+      immediateCooldownMs,
+      rateLimit?.tokenBudget ?? null,
+      { status, message: message ? message.slice(0, 200) : null }
+    ]);
+  }
+
+  /**
+   * 记录端点成功
+   * @param {object|null} rateLimit - parseRateLimitHeaders 解析出的限流信息
+   */
+  async recordSuccess(endpointIndex, baseUrlIndex, rateLimit = null) {
+    // 等待上游响应期间其他请求可能记录了失败，不使用请求开始时缓存的健康状态
+    this.store.forget?.(this.getHealthKey(endpointIndex, baseUrlIndex));
+    const health = await this.getHealth(endpointIndex, baseUrlIndex);
+    const tokenBudget = rateLimit?.tokenBudget ?? null;
+
+    // 只有在端点之前有失败记录、熔断器未闭合或上游报告了新的额度时才需要写入
+    // 如果端点一直健康，不需要写入存储
+    if (health.failures > 0 || health.state !== CIRCUIT_STATE.CLOSED || tokenBudget) {
+      const key = this.getHealthKey(endpointIndex, baseUrlIndex);
+      await this.store.update(key, 'recordSuccess', [Date.now(), tokenBudget]);
+    }
+  }
+
+  /**
+   * 生成滚动统计的唯一键（如 stats:droid-newcli:opus）
+   */
+  getStatsKey(endpointIndex, baseUrlIndex) {
+    return `stats:${this.getTargetName(endpointIndex, baseUrlIndex)}:${this.modelFamily}`;
+  }
+
+  /**
+   * 获取"端点+源"的滚动统计
+   */
+  async getStats(endpointIndex, baseUrlIndex) {
+    const stats = await this.store.get(this.getStatsKey(endpointIndex, baseUrlIndex));
+    return { ...DEFAULT_SOURCE_STATS, ...stats };
+  }
+
+  /**
+   * 记录一次请求的延迟、首 token 耗时或结果（源选择策略为 ordered 时不记录）
+   * @param {object} sample - { latencyMs, ttftMs, success }
+   */
+  async recordSample(endpointIndex, baseUrlIndex, sample) {
+    const selection = this.config.selection;
+    if (selection.policy !== 'weighted') {
+      return;
+    }
+    const key = this.getStatsKey(endpointIndex, baseUrlIndex);
+    await this.store.update(key, 'recordSample', [Date.now(), sample, selection.ewmaAlpha]);
+  }
+
+  /**
+   * 生成 count_tokens 支持情况的唯一键（如 count_tokens:droid-newcli），与模型系列无关
+   */
+  getCountTokensKey(endpointIndex, baseUrlIndex) {
+    return `count_tokens:${this.getTargetName(endpointIndex, baseUrlIndex)}`;
+  }
+
+  /**
+   * 获取"端点+源"是否支持 count_tokens：优先使用档位的 countTokens 配置，其次使用最近一次请求的结果
+   * 记录为不支持超过 COUNT_TOKENS_RECHECK_INTERVAL 后视为未知，重新尝试
+   * @returns {Promise<boolean|null>} 未知时返回 null
+   */
+  async getCountTokensSupport(endpointIndex, baseUrlIndex) {
+    const configured = this.config.endpoints[endpointIndex].countTokens;
+    if (configured !== null) {
+      return configured;
+    }
+    const record = await this.store.get(this.getCountTokensKey(endpointIndex, baseUrlIndex));
+    if (!record || (!record.supported && Date.now() - record.checkedAt > COUNT_TOKENS_RECHECK_INTERVAL)) {
+      return null;
+    }
+    return record.supported;
+  }
+
+  /**
+   * 记录"端点+源"是否支持 count_tokens（档位配置了 countTokens 时不记录，已记录为支持时不重复写入）
+   */
+  async recordCountTokensSupport(endpointIndex, baseUrlIndex, supported) {
+    if (this.config.endpoints[endpointIndex].countTokens !== null) {
+      return;
+    }
+    const key = this.getCountTokensKey(endpointIndex, baseUrlIndex);
+    if (supported && (await this.store.get(key))?.supported) {
+      return;
+    }
+    await this.store.put(key, { supported, checkedAt: Date.now() });
+  }
+
+  /**
+   * 按滚动统计排列档位内的源（源选择策略为 ordered 时保持主源 -> 备源的顺序）
+   * 第一个源按权重随机选择，其余的源按权重从高到低作为后备
+   */
+  async orderSources(endpointIndex, sourceIndexes) {
+    const { policy, minSamples, explorationRatio } = this.config.selection;
+    if (policy !== 'weighted' || sourceIndexes.length < 2) {
+      return sourceIndexes;
+    }
+
+    const scores = await Promise.all(sourceIndexes.map(async baseUrlIndex => (
+      scoreSourceStats(await this.getStats(endpointIndex, baseUrlIndex), minSamples)
+    )));
+    // 样本不足的源按表现最好的源对待
+    const known = scores.filter(score => score !== null);
+    const best = known.length > 0 ? Math.max(...known) : 1;
+    let weights = scores.map(score => score ?? best);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      weights = weights.map(() => 1);
+    }
+    // 每个源至少分到 explorationRatio 的流量
+    const floor = weights.reduce((sum, weight) => sum + weight, 0) * explorationRatio;
+    weights = weights.map(weight => Math.max(weight, floor));
+
+    let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    let first = weights.length - 1;
+    for (let i = 0; i < weights.length; i++) {
+      pick -= weights[i];
+      if (pick < 0) {
+        first = i;
+        break;
+      }
+    }
+    const rest = [...sourceIndexes.keys()]
+      .filter(i => i !== first)
+      .sort((a, b) => weights[b] - weights[a]);
+    return [first, ...rest].map(i => sourceIndexes[i]);
+  }
+
+  /**
+   * 汇总档位内可路由的源的统计（取最高的成功率和最低的延迟），样本不足时返回 null
+   */
+  async getTierStats(endpointIndex) {
+    const { minSamples } = this.config.selection;
+    let tier = null;
+    for (let baseUrlIndex = 0; baseUrlIndex < this.config.sources.length; baseUrlIndex++) {
+      if (!this.isRoutable(endpointIndex, baseUrlIndex)) continue;
+      const stats = await this.getStats(endpointIndex, baseUrlIndex);
+      if (stats.samples < minSamples || stats.successRate === null) continue;
+      const latencyMs = stats.ttftMs ?? stats.latencyMs;
+      tier = {
+        successRate: Math.max(tier?.successRate ?? 0, stats.successRate),
+        latencyMs: latencyMs === null ? tier?.latencyMs ?? null : Math.min(tier?.latencyMs ?? Infinity, latencyMs)
+      };
+    }
+    return tier;
+  }
+
+  /**
+   * 检查便宜的档位相对下一个档位是否严重降级（成功率过低，或延迟超过下一个档位的指定倍数）
+   */
+  async isTierDegraded(endpointIndex, nextIndex) {
+    const { policy, degradedSuccessRate, degradedLatencyRatio } = this.config.selection;
+    if (policy !== 'weighted' || (degradedSuccessRate === null && degradedLatencyRatio === null)) {
+      return false;
+    }
+
+    const current = await this.getTierStats(endpointIndex);
+    if (!current) {
+      return false;
+    }
+    const next = await this.getTierStats(nextIndex);
+    // 下一个档位没有足够样本时视为健康
+    if (degradedSuccessRate !== null && current.successRate < degradedSuccessRate && (!next || next.successRate > current.successRate)) {
+      return true;
+    }
+    if (degradedLatencyRatio !== null && next && current.latencyMs !== null && next.latencyMs !== null) {
+      return current.latencyMs > next.latencyMs * degradedLatencyRatio;
+    }
+    return false;
+  }
+}
+
+/**
+ * 计算源的得分：成功率越高、延迟越低得分越高（有流式请求的首 token 耗时时优先使用）
+ * 样本数不足时返回 null
+ */
+function scoreSourceStats(stats, minSamples) {
+  if (stats.samples < minSamples || stats.successRate === null) {
+    return null;
+  }
+  const latencyMs = stats.ttftMs ?? stats.latencyMs ?? 1;
+  // 成功率取平方，失败对得分的影响大于延迟
+  return stats.successRate ** 2 / Math.max(latencyMs, 1);
+}
+
+/**
+ * 检查值是否有效（不是 undefined、null 或字符串 "[undefined]"）
+ */
+function isValidValue(value) {
+  if (value === undefined || value === null || value === '[undefined]' || value === 'undefined') {
+    return false;
+  }
+  // 如果是对象或数组，检查是否为空或只包含无效值
+  if (typeof value === 'object') {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    // 对于普通对象，检查是否有有效的属性
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * 清理对象中的无效值
+ */
+function cleanObject(obj) {
+  if (!obj || typeof obj !== 'object') {
+    return obj;
+  }
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (isValidValue(value)) {
+      cleaned[key] = value;
+    }
+  }
+  return cleaned;
+}
+
+// Claude 支持的图片类型
+const SUPPORTED_IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// 图片 URL 扩展名对应的类型（用于在不下载图片的情况下检查类型）
+const IMAGE_EXTENSION_MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  avif: 'image/avif'
+};
+
+/**
+ * 解析 data: URL
+ * 返回 { mediaType, isBase64, data }，格式不正确时返回 null
+ */
+function parseDataUrl(url) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(url);
+  if (!match) {
+    return null;
+  }
+  return {
+    mediaType: (match[1] || 'text/plain').toLowerCase(),
+    isBase64: /;base64$/i.test(match[2]),
+    data: match[3]
+  };
+}
+
+/**
+ * 将 base64 字符串解码为 UTF-8 文本
+ */
+function decodeBase64Text(data) {
+  const binary = atob(data);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * 转换 OpenAI image_url 内容片段为 Claude image 内容块
+ * data: URL 转为 base64 图片，http(s) URL 转为 url 图片，均会检查图片类型
+ */
+function convertOpenAIImagePart(part) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+  if (!url) {
+    throw new Error('image_url content part is missing url');
+  }
+
+  if (url.startsWith('data:')) {
+    const parsed = parseDataUrl(url);
+    if (!parsed || !parsed.isBase64) {
+      throw new Error('image_url data URL must be base64 encoded');
+    }
+    if (!SUPPORTED_IMAGE_MEDIA_TYPES.includes(parsed.mediaType)) {
+      throw new Error(`Unsupported image media type: ${parsed.mediaType}`);
+    }
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: parsed.mediaType, data: parsed.data }
+    };
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error('image_url must be a data URL or an http(s) URL');
+  }
+  if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+    throw new Error('image_url must be a data URL or an http(s) URL');
+  }
+
+  // 远程图片只能根据扩展名判断类型，无扩展名时交给上游校验
+  const extension = parsedUrl.pathname.split('.').pop().toLowerCase();
+  const mediaType = IMAGE_EXTENSION_MEDIA_TYPES[extension];
+  if (mediaType && !SUPPORTED_IMAGE_MEDIA_TYPES.includes(mediaType)) {
+    throw new Error(`Unsupported image media type: ${mediaType}`);
+  }
+
+  return { type: 'image', source: { type: 'url', url } };
+}
+
+/**
+ * 转换 OpenAI file 内容片段为 Claude document 内容块
+ * 支持 PDF（base64 文档）和纯文本文件（文本文档）
+ */
+function convertOpenAIFilePart(part) {
+  const file = part.file || {};
+  if (file.file_id && !file.file_data) {
+    throw new Error('file content parts referencing file_id are not supported, use file_data instead');
+  }
+  if (!file.file_data) {
+    throw new Error('file content part is missing file_data');
+  }
+
+  let mediaType;
+  let data;
+  if (file.file_data.startsWith('data:')) {
+    const parsed = parseDataUrl(file.file_data);
+    if (!parsed || !parsed.isBase64) {
+      throw new Error('file_data data URL must be base64 encoded');
+    }
+    mediaType = parsed.mediaType;
+    data = parsed.data;
+  } else {
+    // 不带 data: 前缀时根据文件名推断类型
+    const filename = file.filename || '';
+    if (/\.pdf$/i.test(filename)) {
+      mediaType = 'application/pdf';
+    } else if (/\.(txt|md)$/i.test(filename)) {
+      mediaType = 'text/plain';
+    }
+    data = file.file_data;
+  }
+
+  const document = { type: 'document' };
+  if (mediaType === 'application/pdf') {
+    document.source = { type: 'base64', media_type: 'application/pdf', data };
+  } else if (mediaType === 'text/plain' || mediaType === 'text/markdown') {
+    document.source = { type: 'text', media_type: 'text/plain', data: decodeBase64Text(data) };
+  } else {
+    throw new Error(`Unsupported file media type: ${mediaType || 'unknown'}`);
+  }
+  if (file.filename) {
+    document.title = file.filename;
+  }
+  return document;
+}
+
+/**
+ * 转换 OpenAI 消息内容为 Claude 消息内容
+ * 字符串原样返回，内容片段数组（text / image_url / file）转换为 Claude 内容块
+ */
+function convertOpenAIContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map(part => {
+    switch (part?.type) {
+      case 'text':
+        return { type: 'text', text: part.text ?? '' };
+      case 'image_url':
+        return convertOpenAIImagePart(part);
+      case 'file':
+        return convertOpenAIFilePart(part);
+      default:
+        throw new Error(`Unsupported content part type: ${part?.type}`);
+    }
+  });
+}
+
+/**
+ * 将消息内容统一为 Claude 内容块数组（用于合并相邻同角色消息）
+ */
+function toClaudeContentBlocks(content) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  return Array.isArray(content) ? content : [];
+}
+
+/**
+ * 追加 Claude 消息
+ * Claude 要求 user/assistant 交替出现，相邻的同角色消息（如多个工具结果）会合并为一条
+ */
+function appendClaudeMessage(messages, role, content) {
+  const last = messages[messages.length - 1];
+  if (last && last.role === role) {
+    last.content = [...toClaudeContentBlocks(last.content), ...toClaudeContentBlocks(content)];
+    return;
+  }
+  messages.push({ role, content });
+}
+
+/**
+ * 解析 OpenAI 工具调用参数（JSON 字符串）为 Claude tool_use 的 input 对象
+ */
+function parseToolArguments(args, toolName) {
+  if (args && typeof args === 'object') {
+    return args;
+  }
+  if (!isValidValue(args) || args === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    throw new Error(`Invalid JSON arguments for tool call "${toolName}"`);
+  }
+}
+
+/**
+ * 解析上游返回的工具调用参数：不是合法的 JSON 对象时保留原始字符串（{ _raw: args }），不让一次异常的回复导致请求失败
+ */
+function parseUpstreamToolArguments(args, toolName) {
+  try {
+    const input = parseToolArguments(args, toolName);
+    if (input && typeof input === 'object' && !Array.isArray(input)) {
+      return input;
+    }
+  } catch (error) {
+    // 按原始字符串返回
+  }
+  console.warn(`Upstream returned invalid JSON arguments for tool call "${toolName}"`);
+  return { _raw: args };
+}
+
+/**
+ * 转换 OpenAI function tools 为 Claude tools
+ */
+function convertOpenAITools(tools) {
+  return tools
+    .filter(tool => tool?.type === 'function' && tool.function?.name)
+    .map(tool => {
+      const claudeTool = {
+        name: tool.function.name,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      };
+      if (isValidValue(tool.function.description)) {
+        claudeTool.description = tool.function.description;
+      }
+      return claudeTool;
+    });
+}
+
+/**
+ * 转换 OpenAI tool_choice / parallel_tool_calls 为 Claude tool_choice
+ */
+function convertOpenAIToolChoice(toolChoice, parallelToolCalls) {
+  let claudeChoice = null;
+
+  if (toolChoice === 'none') {
+    claudeChoice = { type: 'none' };
+  } else if (toolChoice === 'required') {
+    claudeChoice = { type: 'any' };
+  } else if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    claudeChoice = { type: 'tool', name: toolChoice.function.name };
+  } else if (toolChoice === 'auto' || parallelToolCalls === false) {
+    claudeChoice = { type: 'auto' };
+  }
+
+  if (claudeChoice && parallelToolCalls === false && claudeChoice.type !== 'none') {
+    claudeChoice.disable_parallel_tool_use = true;
+  }
+
+  return claudeChoice;
+}
+
+// OpenAI reasoning_effort 对应的 Claude 思考预算（Claude 要求至少 1024）
+const REASONING_EFFORT_BUDGETS = {
+  minimal: 1024,
+  low: 2048,
+  medium: 8192,
+  high: 24576
+};
+
+// 思考预算之外为回答预留的 token 数（客户端未指定 max_tokens 时使用）
+const DEFAULT_ANSWER_TOKENS = 4096;
+
+/**
+ * 将 OpenAI reasoning_effort 转换为 Claude extended thinking 配置
+ * @param {object} claudeRequest - 转换中的 Claude 请求（会被修改）
+ * @param {string} reasoningEffort - OpenAI reasoning_effort
+ * @param {number|null} requestedMaxTokens - 客户端指定的最大 token 数（OpenAI 语义下包含思考 token）
+ */
+function applyReasoningEffort(claudeRequest, reasoningEffort, requestedMaxTokens) {
+  let budget = REASONING_EFFORT_BUDGETS[reasoningEffort];
+  if (!budget) {
+    return;
+  }
+
+  // Claude 不允许在强制工具调用时启用思考
+  const toolChoiceType = claudeRequest.tool_choice?.type;
+  if (toolChoiceType === 'any' || toolChoiceType === 'tool') {
+    return;
+  }
+
+  // 启用思考时，Claude 要求历史中发起工具调用的助手消息以带签名的思考块开头，否则返回 400
+  // OpenAI 格式无法回传思考签名，工具调用之后的轮次不启用思考
+  const hasUnsignedToolTurn = claudeRequest.messages.some(message => (
+    message.role === 'assistant' &&
+    Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_use') &&
+    !message.content.some(block => (block.type === 'thinking' && block.signature) || block.type === 'redacted_thinking')
+  ));
+  if (hasUnsignedToolTurn) {
+    return;
+  }
+
+  if (requestedMaxTokens) {
+    // 思考预算必须小于 max_tokens，至少为回答预留一半，空间不足时不启用思考
+    budget = Math.min(budget, Math.floor(requestedMaxTokens / 2));
+    if (budget < REASONING_EFFORT_BUDGETS.minimal) {
+      return;
+    }
+  } else {
+    claudeRequest.max_tokens = budget + DEFAULT_ANSWER_TOKENS;
+  }
+
+  claudeRequest.thinking = { type: 'enabled', budget_tokens: budget };
+
+  // 启用思考时 Claude 不接受自定义 temperature / top_p
+  delete claudeRequest.temperature;
+  delete claudeRequest.top_p;
+}
+
+/**
+ * 转换 OpenAI Chat Completions 请求格式为 Claude Messages API 格式
+ */
+function convertOpenAIToClaude(openaiRequest) {
+  // max_completion_tokens 是 OpenAI 新参数，优先于已废弃的 max_tokens
+  const requestedMaxTokens = isValidValue(openaiRequest.max_completion_tokens)
+    ? openaiRequest.max_completion_tokens
+    : isValidValue(openaiRequest.max_tokens) ? openaiRequest.max_tokens : null;
+
+  const claudeRequest = {
+    model: isValidValue(openaiRequest.model) ? openaiRequest.model : 'claude-3-5-sonnet-20241022',
+    max_tokens: requestedMaxTokens ?? 4096,
+    messages: []
+  };
+
+  // 转换消息格式
+  if (openaiRequest.messages && Array.isArray(openaiRequest.messages)) {
+    for (const msg of openaiRequest.messages) {
+      if (msg.role === 'system') {
+        // Claude 的 system 消息单独处理
+        if (isValidValue(msg.content)) {
+          claudeRequest.system = convertOpenAIContent(msg.content);
+        }
+      } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        // 助手发起的工具调用转换为 tool_use 内容块
+        const blocks = isValidValue(msg.content) ? toClaudeContentBlocks(convertOpenAIContent(msg.content)) : [];
+        for (const call of msg.tool_calls) {
+          const name = call.function?.name;
+          blocks.push({
+            type: 'tool_use',
+            id: call.id,
+            name,
+            input: parseToolArguments(call.function?.arguments, name)
+          });
+        }
+        appendClaudeMessage(claudeRequest.messages, 'assistant', blocks);
+      } else if (msg.role === 'tool') {
+        // 工具执行结果转换为 user 消息中的 tool_result 内容块
+        const toolResult = { type: 'tool_result', tool_use_id: msg.tool_call_id };
+        if (isValidValue(msg.content)) {
+          toolResult.content = convertOpenAIContent(msg.content);
+        }
+        appendClaudeMessage(claudeRequest.messages, 'user', [toolResult]);
+      } else if (msg.role === 'user' || msg.role === 'assistant') {
+        if (isValidValue(msg.content)) {
+          appendClaudeMessage(claudeRequest.messages, msg.role, convertOpenAIContent(msg.content));
+        }
+      }
+    }
+  }
+
+  // 工具定义和工具选择策略
+  if (Array.isArray(openaiRequest.tools) && openaiRequest.tools.length > 0) {
+    const tools = convertOpenAITools(openaiRequest.tools);
+    if (tools.length > 0) {
+      claudeRequest.tools = tools;
+      const toolChoice = convertOpenAIToolChoice(openaiRequest.tool_choice, openaiRequest.parallel_tool_calls);
+      if (toolChoice) {
+        claudeRequest.tool_choice = toolChoice;
+      }
+    }
+  }
+
+  // 可选参数转换 - 只添加有效的参数
+  if (isValidValue(openaiRequest.temperature) && typeof openaiRequest.temperature === 'number') {
+    claudeRequest.temperature = openaiRequest.temperature;
+  }
+  if (isValidValue(openaiRequest.top_p) && typeof openaiRequest.top_p === 'number') {
+    claudeRequest.top_p = openaiRequest.top_p;
+  }
+  // Stream 参数：如果提供则使用，否则默认为 false
+  if (isValidValue(openaiRequest.stream) && typeof openaiRequest.stream === 'boolean') {
+    claudeRequest.stream = openaiRequest.stream;
+  } else {
+    claudeRequest.stream = false;
+  }
+  if (isValidValue(openaiRequest.stop)) {
+    if (Array.isArray(openaiRequest.stop)) {
+      const validStops = openaiRequest.stop.filter(s => isValidValue(s));
+      if (validStops.length > 0) {
+        claudeRequest.stop_sequences = validStops;
+      }
+    } else if (typeof openaiRequest.stop === 'string') {
+      claudeRequest.stop_sequences = [openaiRequest.stop];
+    }
+  }
+
+  applyReasoningEffort(claudeRequest, openaiRequest.reasoning_effort, requestedMaxTokens);
+
+  // 清理请求对象，移除任何可能残留的无效值
+  return cleanObject(claudeRequest);
+}
+
+/**
+ * 转换 Claude usage 为 OpenAI usage
+ * Claude 的 input_tokens 不含缓存命中和缓存写入的 token，OpenAI 的 prompt_tokens 包含
+ */
+function convertClaudeUsageToOpenAI(usage = {}) {
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: cachedTokens }
+  };
+}
+
+/**
+ * 转换 Claude SSE 流为 OpenAI SSE 流
+ * @param {ReadableStream} claudeStream - Claude SSE 响应流
+ * @param {string} originalModel - 客户端请求的模型名称
+ * @param {object} options - { includeUsage: 是否在结束前发送 usage chunk（stream_options.include_usage） }
+ */
+async function convertClaudeStreamToOpenAI(claudeStream, originalModel, options = {}) {
+  const reader = claudeStream.getReader();
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const { includeUsage = false } = options;
+
+  return new ReadableStream({
+    async start(controller) {
+      let buffer = '';
+      // Claude 内容块索引 -> OpenAI tool_calls 索引
+      const toolCallIndexes = new Map();
+      // 同一个流中的所有 chunk 共用同一个 id 和创建时间
+      let chunkId = `chatcmpl-${Date.now()}`;
+      let model = originalModel || 'claude-3-5-sonnet-20241022';
+      const created = Math.floor(Date.now() / 1000);
+      // 累计 usage（message_start 提供输入 token，message_delta 提供累计输出 token）
+      const usage = {};
+
+      const createChunk = (delta, finishReason = null) => {
+        const chunk = {
+          id: chunkId,
+          object: 'chat.completion.chunk',
+          created,
+          model,
+          choices: [{ index: 0, delta, finish_reason: finishReason }]
+        };
+        // 按 OpenAI 约定，开启 include_usage 时普通 chunk 的 usage 为 null
+        if (includeUsage) {
+          chunk.usage = null;
+        }
+        return chunk;
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            controller.close();
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (!line.trim() || line.startsWith(':')) continue;
+
+            if (line.startsWith('data: ')) {
+              const data = line.slice(6);
+
+              if (data === '[DONE]') {
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                continue;
+              }
+
+              try {
+                const claudeEvent = JSON.parse(data);
+                let openaiEvent = null;
+
+                // 转换不同类型的 Claude 事件为 OpenAI 格式
+                switch (claudeEvent.type) {
+                  case 'message_start':
+                    if (claudeEvent.message?.id) {
+                      chunkId = claudeEvent.message.id;
+                    }
+                    if (!originalModel && claudeEvent.message?.model) {
+                      model = claudeEvent.message.model;
+                    }
+                    Object.assign(usage, claudeEvent.message?.usage);
+                    openaiEvent = createChunk({ role: 'assistant', content: '' });
+                    break;
+
+                  case 'content_block_start':
+                    // 工具调用开始：发送 tool_call 的 id 和函数名
+                    if (claudeEvent.content_block?.type === 'tool_use') {
+                      const toolCallIndex = toolCallIndexes.size;
+                      toolCallIndexes.set(claudeEvent.index, toolCallIndex);
+                      openaiEvent = createChunk({
+                        tool_calls: [{
+                          index: toolCallIndex,
+                          id: claudeEvent.content_block.id,
+                          type: 'function',
+                          function: { name: claudeEvent.content_block.name, arguments: '' }
+                        }]
+                      });
+                      break;
+                    }
+                    // OpenAI 在第一个 chunk 中已经包含了 role，文本、思考和其他类型的内容块开始时跳过
+                    continue;
+
+                  case 'content_block_delta':
+                    if (claudeEvent.delta?.type === 'text_delta') {
+                      openaiEvent = createChunk({ content: claudeEvent.delta.text });
+                    } else if (claudeEvent.delta?.type === 'thinking_delta') {
+                      // 思考内容以 reasoning_content 增量输出
+                      openaiEvent = createChunk({ reasoning_content: claudeEvent.delta.thinking });
+                    } else if (claudeEvent.delta?.type === 'input_json_delta' && toolCallIndexes.has(claudeEvent.index)) {
+                      // 工具调用参数增量
+                      openaiEvent = createChunk({
+                        tool_calls: [{
+                          index: toolCallIndexes.get(claudeEvent.index),
+                          function: { arguments: claudeEvent.delta.partial_json }
+                        }]
+                      });
+                    }
+                    break;
+
+                  case 'content_block_stop':
+                    // 内容块结束，不需要发送事件
+                    continue;
+
+                  case 'message_delta':
+                    // message_delta 中的 usage 是累计值，覆盖之前的值
+                    Object.assign(usage, claudeEvent.usage);
+                    // 处理 stop_reason
+                    if (claudeEvent.delta?.stop_reason) {
+                      openaiEvent = createChunk({}, mapStopReasonToFinishReason(claudeEvent.delta.stop_reason));
+                    }
+                    break;
+
+                  case 'message_stop':
+                    // 消息结束，按需发送 usage chunk，然后发送 [DONE]
+                    if (includeUsage) {
+                      const usageChunk = {
+                        id: chunkId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model,
+                        choices: [],
+                        usage: convertClaudeUsageToOpenAI(usage)
+                      };
+                      controller.enqueue(encoder.encode(`data: ${JSON.stringify(usageChunk)}\n\n`));
+                    }
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    continue;
+
+                  case 'ping':
+                    // 心跳事件，跳过
+                    continue;
+
+                  case 'error':
+                    // 错误事件
+                    openaiEvent = {
+                      error: {
+                        message: claudeEvent.error?.message || 'Unknown error',
+                        type: claudeEvent.error?.type || 'api_error'
+                      }
+                    };
+                    break;
+
+                  default:
+                    console.log('Unknown Claude event type:', claudeEvent.type);
+                    continue;
+                }
+
+                if (openaiEvent) {
+                  controller.enqueue(encoder.encode(`data: ${JSON.stringify(openaiEvent)}\n\n`));
+                }
+              } catch (e) {
+                console.error('Error parsing SSE data:', e, data);
+              }
+            }
+          }
+        }
+      } catch (error) {
+        console.error('Stream conversion error:', error);
+        controller.error(error);
+      }
+    }
+  });
+}
+
+/**
+ * 转换 Claude stop_reason 为 OpenAI finish_reason
+ */
+function mapStopReasonToFinishReason(stopReason) {
+  switch (stopReason) {
+    case 'end_turn':
+    case 'stop_sequence':
+      return 'stop';
+    case 'max_tokens':
+      return 'length';
+    case 'tool_use':
+      return 'tool_calls';
+    case 'refusal':
+      return 'content_filter';
+    default:
+      return stopReason || 'stop';
+  }
+}
+
+/**
+ * 转换 Claude Messages API 响应格式为 OpenAI Chat Completions 格式
+ */
+function convertClaudeToOpenAI(claudeResponse, model) {
+  let text = '';
+  let reasoning = '';
+  const toolCalls = [];
+
+  // 拼接所有文本块和思考块，其他类型的内容块（如 redacted_thinking）忽略
+  for (const block of claudeResponse.content || []) {
+    if (block.type === 'text') {
+      text += block.text || '';
+    } else if (block.type === 'thinking') {
+      reasoning += block.thinking || '';
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input ?? {})
+        }
+      });
+    }
+  }
+
+  const message = {
+    role: 'assistant',
+    // 只有工具调用时，OpenAI 约定 content 为 null
+    content: toolCalls.length > 0 && !text ? null : text
+  };
+  if (reasoning) {
+    message.reasoning_content = reasoning;
+  }
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  return {
+    id: claudeResponse.id || `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model || 'claude-3-5-sonnet-20241022',
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: mapStopReasonToFinishReason(claudeResponse.stop_reason)
+      }
+    ],
+    usage: convertClaudeUsageToOpenAI(claudeResponse.usage)
+  };
+}
+
+/**
+ * 转换 Responses API 内容片段为 Chat Completions 内容片段
+ * 字符串原样返回；input_text / output_text / input_image / input_file 转换为 text / image_url / file
+ */
+function convertResponsesContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return content.map(part => {
+    switch (part?.type) {
+      case 'input_text':
+      case 'output_text':
+        return { type: 'text', text: part.text ?? '' };
+      case 'refusal':
+        return { type: 'text', text: part.refusal ?? '' };
+      case 'input_image':
+        if (part.file_id && !part.image_url) {
+          throw new Error('input_image parts referencing file_id are not supported, use image_url instead');
+        }
+        return { type: 'image_url', image_url: { url: part.image_url } };
+      case 'input_file':
+        return { type: 'file', file: { file_data: part.file_data, file_id: part.file_id, filename: part.filename } };
+      default:
+        throw new Error(`Unsupported content part type: ${part?.type}`);
+    }
+  });
+}
+
+/**
+ * 转换 OpenAI Responses API 请求为 Chat Completions 请求（之后由 convertOpenAIToClaude 转换为 Claude 格式）
+ * 支持 instructions、input（字符串或消息、function_call、function_call_output 条目）、function tools 和 reasoning.effort
+ * 不保存服务端状态，不支持 previous_response_id
+ */
+function convertResponsesToChatRequest(responsesRequest) {
+  if (isValidValue(responsesRequest.previous_response_id)) {
+    throw new Error('previous_response_id is not supported, send the full conversation in input');
+  }
+
+  const messages = [];
+  // instructions 和 system / developer 消息合并为一条 system 消息
+  const systemParts = [];
+  if (isValidValue(responsesRequest.instructions)) {
+    systemParts.push({ type: 'text', text: responsesRequest.instructions });
+  }
+
+  const input = typeof responsesRequest.input === 'string'
+    ? [{ type: 'message', role: 'user', content: responsesRequest.input }]
+    : responsesRequest.input || [];
+  if (!Array.isArray(input)) {
+    throw new Error('input must be a string or an array of input items');
+  }
+
+  for (const item of input) {
+    // 省略 type 的条目视为消息
+    const type = item?.type ?? (item?.role ? 'message' : undefined);
+    if (type === 'message') {
+      const content = convertResponsesContent(item.content);
+      if (item.role === 'system' || item.role === 'developer') {
+        systemParts.push(...(typeof content === 'string' ? [{ type: 'text', text: content }] : content));
+      } else {
+        messages.push({ role: item.role, content });
+      }
+    } else if (type === 'function_call') {
+      // 连续的工具调用合并到同一条助手消息中
+      const toolCall = { id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } };
+      const last = messages[messages.length - 1];
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall];
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: convertResponsesContent(item.output) });
+    } else if (type === 'reasoning') {
+      // 推理条目没有 Claude 思考签名，无法回传给上游，跳过
+      continue;
+    } else {
+      throw new Error(`Unsupported input item type: ${type}`);
+    }
+  }
+  if (systemParts.length > 0) {
+    messages.unshift({ role: 'system', content: systemParts });
+  }
+
+  const chatRequest = {
+    model: responsesRequest.model,
+    messages,
+    max_completion_tokens: responsesRequest.max_output_tokens,
+    temperature: responsesRequest.temperature,
+    top_p: responsesRequest.top_p,
+    stream: responsesRequest.stream,
+    parallel_tool_calls: responsesRequest.parallel_tool_calls,
+    reasoning_effort: responsesRequest.reasoning?.effort
+  };
+
+  // Responses API 的 function tool 没有 function 包装层
+  if (Array.isArray(responsesRequest.tools)) {
+    chatRequest.tools = responsesRequest.tools
+      .filter(tool => tool?.type === 'function')
+      .map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+  }
+  const toolChoice = responsesRequest.tool_choice;
+  chatRequest.tool_choice = toolChoice?.type === 'function'
+    ? { type: 'function', function: { name: toolChoice.name } }
+    : toolChoice;
+
+  return chatRequest;
+}
+
+/**
+ * 转换 Claude usage 为 Responses API usage
+ */
+function convertClaudeUsageToResponses(usage = {}) {
+  const openaiUsage = convertClaudeUsageToOpenAI(usage);
+  return {
+    input_tokens: openaiUsage.prompt_tokens,
+    input_tokens_details: { cached_tokens: openaiUsage.prompt_tokens_details.cached_tokens },
+    output_tokens: openaiUsage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: openaiUsage.total_tokens
+  };
+}
+
+/**
+ * 创建 Responses API 的 response 对象
+ * 因 max_tokens 截断时状态为 incomplete
+ */
+function createResponsesObject({ id, model, createdAt, stopReason = null, output = [], usage = null, status = null }) {
+  const truncated = stopReason === 'max_tokens';
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status: status || (truncated ? 'incomplete' : 'completed'),
+    error: null,
+    incomplete_details: truncated ? { reason: 'max_output_tokens' } : null,
+    model,
+    output,
+    usage
+  };
+}
+
+/**
+ * 将 Claude 内容块转换为 Responses API 输出条目
+ * text -> message，thinking -> reasoning（以摘要形式输出），tool_use -> function_call，其他类型返回 null
+ */
+function convertClaudeBlockToResponsesItem(block, itemId) {
+  if (block.type === 'text') {
+    return {
+      type: 'message',
+      id: itemId,
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: block.text || '', annotations: [] }]
+    };
+  }
+  if (block.type === 'thinking') {
+    return { type: 'reasoning', id: itemId, summary: [{ type: 'summary_text', text: block.thinking || '' }] };
+  }
+  if (block.type === 'tool_use') {
+    return {
+      type: 'function_call',
+      id: itemId,
+      call_id: block.id,
+      name: block.name,
+      arguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input ?? {}),
+      status: 'completed'
+    };
+  }
+  return null;
+}
+
+/**
+ * 转换 Claude Messages API 响应为 Responses API 响应
+ */
+function convertClaudeToResponses(claudeResponse, model) {
+  const responseId = `resp_${claudeResponse.id || Date.now()}`;
+  const output = (claudeResponse.content || [])
+    .map((block, index) => convertClaudeBlockToResponsesItem(block, `${responseId}_${index}`))
+    .filter(Boolean);
+
+  return createResponsesObject({
+    id: responseId,
+    model: model || claudeResponse.model || 'claude-3-5-sonnet-20241022',
+    createdAt: Math.floor(Date.now() / 1000),
+    stopReason: claudeResponse.stop_reason,
+    output,
+    usage: convertClaudeUsageToResponses(claudeResponse.usage)
+  });
+}
+
+/**
+ * 转换 Claude SSE 流为 Responses API SSE 流
+ * 每个 Claude 内容块对应一个输出条目，输出 response.output_item.added、response.output_text.delta、
+ * response.function_call_arguments.delta 等类型化事件，最后输出 response.completed（截断时为 response.incomplete）
+ * @param {ReadableStream} claudeStream - Claude SSE 响应流
+ * @param {string} originalModel - 客户端请求的模型名称
+ */
+async function convertClaudeStreamToResponses(claudeStream, originalModel) {
+  const reader = claudeStream.getReader();
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      let buffer = '';
+      let sequenceNumber = 0;
+      let responseId = `resp_${Date.now()}`;
+      let model = originalModel || 'claude-3-5-sonnet-20241022';
+      const createdAt = Math.floor(Date.now() / 1000);
+      const usage = {};
+      let stopReason = null;
+      // Claude 内容块索引 -> { outputIndex, item, block }
+      const blocks = new Map();
+      const output = [];
+
+      const send = (type, data) => {
+        const event = { type, sequence_number: sequenceNumber++, ...data };
+        controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`));
+      };
+      const snapshot = (status = null) => createResponsesObject({
+        id: responseId,
+        model,
+        createdAt,
+        stopReason,
+        output: output.filter(Boolean),
+        usage: status ? null : convertClaudeUsageToResponses(usage),
+        status
+      });
+
+      // 内容块开始：输出条目和内容片段
+      const startBlock = (index, contentBlock) => {
+        const outputIndex = output.length;
+        const itemId = `${responseId}_${index}`;
+        const entry = { outputIndex, itemId, block: { ...contentBlock } };
+        if (contentBlock.type === 'text') {
+          entry.block.text = '';
+          send('response.output_item.added', {
+            output_index: outputIndex,
+            item: { type: 'message', id: itemId, status: 'in_progress', role: 'assistant', content: [] }
+          });
+          send('response.content_part.added', {
+            item_id: itemId, output_index: outputIndex, content_index: 0,
+            part: { type: 'output_text', text: '', annotations: [] }
+          });
+        } else if (contentBlock.type === 'thinking') {
+          entry.block.thinking = '';
+          send('response.output_item.added', { output_index: outputIndex, item: { type: 'reasoning', id: itemId, summary: [] } });
+          send('response.reasoning_summary_part.added', {
+            item_id: itemId, output_index: outputIndex, summary_index: 0, part: { type: 'summary_text', text: '' }
+          });
+        } else if (contentBlock.type === 'tool_use') {
+          entry.block.input = '';
+          send('response.output_item.added', {
+            output_index: outputIndex,
+            item: { type: 'function_call', id: itemId, call_id: contentBlock.id, name: contentBlock.name, arguments: '', status: 'in_progress' }
+          });
+        } else {
+          // 其他类型的内容块（如 redacted_thinking）不输出
+          return;
+        }
+        output.push(null);
+        blocks.set(index, entry);
+      };
+
+      // 内容块结束：输出完整的内容片段和条目
+      const stopBlock = (index) => {
+        const entry = blocks.get(index);
+        if (!entry) {
+          return;
+        }
+        const { outputIndex, itemId, block } = entry;
+        const item = convertClaudeBlockToResponsesItem(block, itemId);
+        if (block.type === 'text') {
+          send('response.output_text.done', { item_id: itemId, output_index: outputIndex, content_index: 0, text: block.text });
+          send('response.content_part.done', { item_id: itemId, output_index: outputIndex, content_index: 0, part: item.content[0] });
+        } else if (block.type === 'thinking') {
+          send('response.reasoning_summary_text.done', { item_id: itemId, output_index: outputIndex, summary_index: 0, text: block.thinking });
+          send('response.reasoning_summary_part.done', { item_id: itemId, output_index: outputIndex, summary_index: 0, part: item.summary[0] });
+        } else if (block.type === 'tool_use') {
+          item.arguments = block.input || '{}';
+          send('response.function_call_arguments.done', { item_id: itemId, output_index: outputIndex, arguments: item.arguments });
+        }
+        output[outputIndex] = item;
+        send('response.output_item.done', { output_index: outputIndex, item });
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            controller.close();
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+
+            let claudeEvent;
+            try {
+              claudeEvent = JSON.parse(line.slice(6));
+            } catch (e) {
+              console.error('Error parsing SSE data:', e, line);
+              continue;
+            }
+
+            const entry = blocks.get(claudeEvent.index);
+            switch (claudeEvent.type) {
+              case 'message_start':
+                if (claudeEvent.message?.id) {
+                  responseId = `resp_${claudeEvent.message.id}`;
+                }
+                if (!originalModel && claudeEvent.message?.model) {
+                  model = claudeEvent.message.model;
+                }
+                Object.assign(usage, claudeEvent.message?.usage);
+                send('response.created', { response: snapshot('in_progress') });
+                send('response.in_progress', { response: snapshot('in_progress') });
+                break;
+
+              case 'content_block_start':
+                startBlock(claudeEvent.index, claudeEvent.content_block || {});
+                break;
+
+              case 'content_block_delta':
+                if (!entry) break;
+                if (claudeEvent.delta?.type === 'text_delta') {
+                  entry.block.text += claudeEvent.delta.text;
+                  send('response.output_text.delta', {
+                    item_id: entry.itemId, output_index: entry.outputIndex, content_index: 0, delta: claudeEvent.delta.text
+                  });
+                } else if (claudeEvent.delta?.type === 'thinking_delta') {
+                  entry.block.thinking += claudeEvent.delta.thinking;
+                  send('response.reasoning_summary_text.delta', {
+                    item_id: entry.itemId, output_index: entry.outputIndex, summary_index: 0, delta: claudeEvent.delta.thinking
+                  });
+                } else if (claudeEvent.delta?.type === 'input_json_delta') {
+                  entry.block.input += claudeEvent.delta.partial_json;
+                  send('response.function_call_arguments.delta', {
+                    item_id: entry.itemId, output_index: entry.outputIndex, delta: claudeEvent.delta.partial_json
+                  });
+                }
+                break;
+
+              case 'content_block_stop':
+                stopBlock(claudeEvent.index);
+                break;
+
+              case 'message_delta':
+                // message_delta 中的 usage 是累计值，覆盖之前的值
+                Object.assign(usage, claudeEvent.usage);
+                stopReason = claudeEvent.delta?.stop_reason ?? stopReason;
+                break;
+
+              case 'message_stop': {
+                const response = snapshot();
+                send(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+                break;
+              }
+
+              case 'error':
+                send('error', {
+                  code: claudeEvent.error?.type || 'api_error',
+                  message: claudeEvent.error?.message || 'Unknown error',
+                  param: null
+                });
+                send('response.failed', {
+                  response: {
+                    ...snapshot('failed'),
+                    error: { code: claudeEvent.error?.type || 'api_error', message: claudeEvent.error?.message || 'Unknown error' }
+                  }
+                });
+                break;
+
+              default:
+                // ping 等事件不需要输出
+                break;
+            }
+          }
+        }
+      } catch (error) {
+        console.error('Stream conversion error:', error);
+        controller.error(error);
+      }
+    }
+  });
+}
+
+// Gemini 思考预算为 -1（动态思考）时使用的 Claude 思考预算
+const GEMINI_DYNAMIC_THINKING_BUDGET = REASONING_EFFORT_BUDGETS.medium;
+
+/**
+ * 将 Gemini Schema（OpenAPI 子集，类型名为大写）转换为 JSON Schema
+ */
+function convertGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(convertGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    converted[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : convertGeminiSchema(value);
+  }
+  return converted;
+}
+
+/**
+ * 转换 Gemini inlineData / fileData 片段为 Claude image 或 document 内容块
+ * 支持 jpeg/png/gif/webp 图片、PDF 和纯文本（仅 inlineData），fileData 只支持 http(s) URL
+ * @param {object} media - { data: base64 数据 } 或 { url: 文件 URL }
+ */
+function convertGeminiMediaPart(mimeType, media) {
+  const mediaType = (mimeType || '').toLowerCase();
+  let source;
+  if (media.data !== undefined) {
+    source = { type: 'base64', media_type: mediaType, data: media.data };
+  } else {
+    if (!/^https?:\/\//i.test(media.url || '')) {
+      throw new Error('fileData.fileUri must be an http(s) URL');
+    }
+    source = { type: 'url', url: media.url };
+  }
+
+  if (SUPPORTED_IMAGE_MEDIA_TYPES.includes(mediaType)) {
+    return { type: 'image', source };
+  }
+  if (mediaType === 'application/pdf') {
+    return { type: 'document', source };
+  }
+  if (mediaType === 'text/plain' && media.data !== undefined) {
+    return { type: 'document', source: { type: 'text', media_type: 'text/plain', data: decodeBase64Text(media.data) } };
+  }
+  throw new Error(`Unsupported media type: ${mimeType || 'unknown'}`);
+}
+
+/**
+ * 转换 Gemini generateContent 请求为 Claude Messages API 格式
+ * 支持 contents/parts（text、inlineData、fileData、functionCall、functionResponse）、systemInstruction、
+ * generationConfig（含 thinkingConfig）、functionDeclarations 和 toolConfig
+ * @param {string} model - 路径中的模型名称
+ * @param {boolean} stream - 是否为 streamGenerateContent
+ */
+function convertGeminiToClaude(geminiRequest, model, stream) {
+  const generationConfig = geminiRequest.generationConfig || {};
+  if (generationConfig.candidateCount > 1) {
+    throw new Error('candidateCount greater than 1 is not supported');
+  }
+
+  const claudeRequest = {
+    model,
+    max_tokens: generationConfig.maxOutputTokens ?? 4096,
+    messages: [],
+    stream
+  };
+
+  // systemInstruction 是只有 parts 的 Content（部分 SDK 直接传字符串）
+  const systemInstruction = typeof geminiRequest.systemInstruction === 'string'
+    ? { parts: [{ text: geminiRequest.systemInstruction }] }
+    : geminiRequest.systemInstruction;
+  const systemBlocks = (systemInstruction?.parts || [])
+    .filter(part => typeof part.text === 'string' && part.text)
+    .map(part => ({ type: 'text', text: part.text }));
+  if (systemBlocks.length > 0) {
+    claudeRequest.system = systemBlocks;
+  }
+
+  // Gemini 的函数调用可能没有 id，此时生成 id，并按名称将函数响应与最早未响应的调用配对
+  const pendingCalls = new Map();
+  let generatedIds = 0;
+
+  for (const content of geminiRequest.contents || []) {
+    const role = content.role === 'model' ? 'assistant' : 'user';
+    const blocks = [];
+    for (const part of content.parts || []) {
+      if (part.thought) {
+        // 思考片段没有 Claude 思考签名，无法回传给上游，跳过
+        continue;
+      }
+      if (typeof part.text === 'string') {
+        if (part.text) {
+          blocks.push({ type: 'text', text: part.text });
+        }
+      } else if (part.inlineData) {
+        blocks.push(convertGeminiMediaPart(part.inlineData.mimeType, { data: part.inlineData.data }));
+      } else if (part.fileData) {
+        blocks.push(convertGeminiMediaPart(part.fileData.mimeType, { url: part.fileData.fileUri }));
+      } else if (part.functionCall) {
+        const { name, args, id } = part.functionCall;
+        const callId = id || `toolu_gemini_${++generatedIds}`;
+        pendingCalls.set(name, [...(pendingCalls.get(name) || []), callId]);
+        blocks.push({ type: 'tool_use', id: callId, name, input: args || {} });
+      } else if (part.functionResponse) {
+        const { name, response, id } = part.functionResponse;
+        const queue = pendingCalls.get(name) || [];
+        const callId = id || queue[0];
+        if (!callId) {
+          throw new Error(`functionResponse "${name}" has no matching functionCall`);
+        }
+        // 显式 id 不在待响应队列中时不移除其他调用，避免之后的响应对应到错误的 tool_use_id
+        const queueIndex = queue.indexOf(callId);
+        if (queueIndex !== -1) {
+          queue.splice(queueIndex, 1);
+        }
+        blocks.push({ type: 'tool_result', tool_use_id: callId, content: JSON.stringify(response ?? {}) });
+      } else {
+        throw new Error(`Unsupported part: ${Object.keys(part).join(', ') || 'empty'}`);
+      }
+    }
+    if (blocks.length > 0) {
+      appendClaudeMessage(claudeRequest.messages, role, blocks);
+    }
+  }
+
+  // 函数声明（其他工具如 googleSearch、codeExecution 忽略）
+  const declarations = (geminiRequest.tools || []).flatMap(tool => tool?.functionDeclarations || []);
+  if (declarations.length > 0) {
+    claudeRequest.tools = declarations.map(declaration => {
+      const claudeTool = {
+        name: declaration.name,
+        input_schema: declaration.parametersJsonSchema || convertGeminiSchema(declaration.parameters) || { type: 'object', properties: {} }
+      };
+      if (isValidValue(declaration.description)) {
+        claudeTool.description = declaration.description;
+      }
+      return claudeTool;
+    });
+
+    // 函数调用模式：AUTO / ANY（只允许一个函数时强制调用该函数）/ NONE
+    const callingConfig = geminiRequest.toolConfig?.functionCallingConfig;
+    const mode = callingConfig?.mode?.toUpperCase();
+    if (mode === 'NONE') {
+      claudeRequest.tool_choice = { type: 'none' };
+    } else if (mode === 'ANY') {
+      const allowed = callingConfig.allowedFunctionNames || [];
+      claudeRequest.tool_choice = allowed.length === 1 ? { type: 'tool', name: allowed[0] } : { type: 'any' };
+    } else if (mode === 'AUTO') {
+      claudeRequest.tool_choice = { type: 'auto' };
+    }
+  }
+
+  // Gemini 的 temperature 范围是 0 ~ 2，Claude 是 0 ~ 1
+  if (typeof generationConfig.temperature === 'number') {
+    claudeRequest.temperature = Math.min(generationConfig.temperature, 1);
+  }
+  if (typeof generationConfig.topP === 'number') {
+    claudeRequest.top_p = generationConfig.topP;
+  }
+  if (typeof generationConfig.topK === 'number') {
+    claudeRequest.top_k = generationConfig.topK;
+  }
+  if (Array.isArray(generationConfig.stopSequences) && generationConfig.stopSequences.length > 0) {
+    claudeRequest.stop_sequences = generationConfig.stopSequences;
+  }
+
+  // thinkingBudget 大于 0 或为 -1（动态）时启用 Claude extended thinking，强制调用工具时不启用
+  const thinkingBudget = generationConfig.thinkingConfig?.thinkingBudget;
+  const toolChoiceType = claudeRequest.tool_choice?.type;
+  if ((thinkingBudget === -1 || thinkingBudget > 0) && toolChoiceType !== 'any' && toolChoiceType !== 'tool') {
+    const budget = thinkingBudget === -1
+      ? GEMINI_DYNAMIC_THINKING_BUDGET
+      : Math.max(thinkingBudget, REASONING_EFFORT_BUDGETS.minimal);
+    claudeRequest.thinking = { type: 'enabled', budget_tokens: budget };
+    if (claudeRequest.max_tokens <= budget) {
+      claudeRequest.max_tokens = budget + DEFAULT_ANSWER_TOKENS;
+    }
+    // 启用思考时 Claude 不接受自定义 temperature / top_p / top_k
+    delete claudeRequest.temperature;
+    delete claudeRequest.top_p;
+    delete claudeRequest.top_k;
+  }
+
+  return claudeRequest;
+}
+
+/**
+ * 转换 Claude stop_reason 为 Gemini finishReason
+ */
+function mapStopReasonToGeminiFinishReason(stopReason) {
+  switch (stopReason) {
+    case 'max_tokens':
+      return 'MAX_TOKENS';
+    case 'refusal':
+      return 'SAFETY';
+    default:
+      return 'STOP';
+  }
+}
+
+/**
+ * 转换 Claude usage 为 Gemini usageMetadata
+ */
+function convertClaudeUsageToGemini(usage = {}) {
+  const openaiUsage = convertClaudeUsageToOpenAI(usage);
+  const metadata = {
+    promptTokenCount: openaiUsage.prompt_tokens,
+    candidatesTokenCount: openaiUsage.completion_tokens,
+    totalTokenCount: openaiUsage.total_tokens
+  };
+  if (openaiUsage.prompt_tokens_details.cached_tokens > 0) {
+    metadata.cachedContentTokenCount = openaiUsage.prompt_tokens_details.cached_tokens;
+  }
+  return metadata;
+}
+
+/**
+ * 转换 Claude Messages API 响应为 Gemini generateContent 响应
+ * @param {boolean} includeThoughts - 是否以 thought 片段返回思考内容（thinkingConfig.includeThoughts）
+ */
+function convertClaudeToGemini(claudeResponse, model, includeThoughts = false) {
+  const parts = [];
+  for (const block of claudeResponse.content || []) {
+    if (block.type === 'text') {
+      parts.push({ text: block.text || '' });
+    } else if (block.type === 'thinking' && includeThoughts) {
+      parts.push({ text: block.thinking || '', thought: true });
+    } else if (block.type === 'tool_use') {
+      parts.push({ functionCall: { id: block.id, name: block.name, args: block.input ?? {} } });
+    }
+  }
+
+  return {
+    candidates: [{
+      content: { role: 'model', parts },
+      finishReason: mapStopReasonToGeminiFinishReason(claudeResponse.stop_reason),
+      index: 0
+    }],
+    usageMetadata: convertClaudeUsageToGemini(claudeResponse.usage),
+    modelVersion: model || claudeResponse.model,
+    responseId: claudeResponse.id
+  };
+}
+
+/**
+ * 转换 Claude SSE 流为 Gemini streamGenerateContent 流
+ * 文本和思考增量直接输出，函数调用在参数完整后输出，最后一个 chunk 带 finishReason 和 usageMetadata
+ * @param {ReadableStream} claudeStream - Claude SSE 响应流
+ * @param {string} originalModel - 客户端请求的模型名称
+ * @param {object} options - { sse: 是否使用 SSE（alt=sse，否则输出 JSON 数组）, includeThoughts: 是否输出思考内容 }
+ */
+async function convertClaudeStreamToGemini(claudeStream, originalModel, options = {}) {
+  const reader = claudeStream.getReader();
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const { sse = true, includeThoughts = false } = options;
+
+  return new ReadableStream({
+    async start(controller) {
+      let buffer = '';
+      let model = originalModel;
+      let responseId = null;
+      const usage = {};
+      let stopReason = null;
+      // Claude 内容块索引 -> 正在接收参数的函数调用 { id, name, json }
+      const toolCalls = new Map();
+      let chunkCount = 0;
+
+      const send = (chunk) => {
+        const data = JSON.stringify(chunk);
+        controller.enqueue(encoder.encode(sse ? `data: ${data}\n\n` : `${chunkCount === 0 ? '[' : ',\n'}${data}`));
+        chunkCount++;
+      };
+      const createChunk = (parts, finished = false) => {
+        const candidate = { content: { role: 'model', parts }, index: 0 };
+        const chunk = { candidates: [candidate], modelVersion: model, responseId };
+        if (finished) {
+          candidate.finishReason = mapStopReasonToGeminiFinishReason(stopReason);
+          chunk.usageMetadata = convertClaudeUsageToGemini(usage);
+        }
+        return chunk;
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            if (!sse) {
+              controller.enqueue(encoder.encode(chunkCount === 0 ? '[]' : '\n]'));
+            }
+            controller.close();
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+
+            let claudeEvent;
+            try {
+              claudeEvent = JSON.parse(line.slice(6));
+            } catch (e) {
+              console.error('Error parsing SSE data:', e, line);
+              continue;
+            }
+
+            switch (claudeEvent.type) {
+              case 'message_start':
+                responseId = claudeEvent.message?.id ?? null;
+                model = model || claudeEvent.message?.model;
+                Object.assign(usage, claudeEvent.message?.usage);
+                break;
+
+              case 'content_block_start':
+                if (claudeEvent.content_block?.type === 'tool_use') {
+                  const { id, name } = claudeEvent.content_block;
+                  toolCalls.set(claudeEvent.index, { id, name, json: '' });
+                }
+                break;
+
+              case 'content_block_delta':
+                if (claudeEvent.delta?.type === 'text_delta') {
+                  send(createChunk([{ text: claudeEvent.delta.text }]));
+                } else if (claudeEvent.delta?.type === 'thinking_delta' && includeThoughts) {
+                  send(createChunk([{ text: claudeEvent.delta.thinking, thought: true }]));
+                } else if (claudeEvent.delta?.type === 'input_json_delta' && toolCalls.has(claudeEvent.index)) {
+                  toolCalls.get(claudeEvent.index).json += claudeEvent.delta.partial_json;
+                }
+                break;
+
+              case 'content_block_stop': {
+                // Gemini 的函数调用参数不是增量输出，参数完整后一次输出
+                const call = toolCalls.get(claudeEvent.index);
+                if (call) {
+                  toolCalls.delete(claudeEvent.index);
+                  let args = {};
+                  try {
+                    args = call.json ? JSON.parse(call.json) : {};
+                  } catch (e) {
+                    console.error('Invalid tool call arguments:', call.json);
+                  }
+                  send(createChunk([{ functionCall: { id: call.id, name: call.name, args } }]));
+                }
+                break;
+              }
+
+              case 'message_delta':
+                // message_delta 中的 usage 是累计值，覆盖之前的值
+                Object.assign(usage, claudeEvent.usage);
+                stopReason = claudeEvent.delta?.stop_reason ?? stopReason;
+                break;
+
+              case 'message_stop':
+                send(createChunk([{ text: '' }], true));
+                break;
+
+              case 'error':
+                send(createErrorBody(claudeEvent.error?.type || 'api_error', claudeEvent.error?.message || 'Unknown error', 'gemini'));
+                break;
+
+              default:
+                // ping 等事件不需要输出
+                break;
+            }
+          }
+        }
+      } catch (error) {
+        console.error('Stream conversion error:', error);
+        controller.error(error);
+      }
+    }
+  });
+}
+
+/**
+ * 转换 Claude 内容块为 Chat Completions 内容（发往 OpenAI 兼容后端）
+ * 只有文本时合并为字符串，兼容不支持内容片段数组的后端；思考块丢弃；无法转换的内容块抛出 UnsupportedRequestError
+ */
+function convertClaudeContentToOpenAI(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  const parts = [];
+  for (const block of content || []) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text || '' });
+    } else if (block.type === 'image' && block.source?.type === 'base64') {
+      parts.push({ type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+    } else if (block.type === 'image' && block.source?.type === 'url') {
+      parts.push({ type: 'image_url', image_url: { url: block.source.url } });
+    } else if (block.type === 'document' && block.source?.type === 'text') {
+      parts.push({ type: 'text', text: block.source.data || '' });
+    } else if (block.type !== 'thinking' && block.type !== 'redacted_thinking') {
+      throw new UnsupportedRequestError(`Content block type "${block.type}" is not supported by OpenAI-compatible upstreams`);
+    }
+  }
+
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+/**
+ * 转换 Claude tool_choice 为 OpenAI tool_choice
+ */
+function convertClaudeToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'none':
+      return 'none';
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * 转换 Claude Messages API 请求为 OpenAI Chat Completions 请求（发往 OpenAI 兼容后端）
+ * 工具结果拆分为 tool 消息；思考配置和思考块丢弃；服务端工具、PDF 等无法转换的内容抛出 UnsupportedRequestError
+ */
+function convertClaudeToOpenAIRequest(claudeRequest) {
+  const messages = [];
+
+  if (claudeRequest.system) {
+    messages.push({ role: 'system', content: convertClaudeContentToOpenAI(claudeRequest.system) });
+  }
+
+  for (const message of claudeRequest.messages || []) {
+    const blocks = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content || [];
+
+    if (message.role === 'assistant') {
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text || '').join('');
+      const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        }));
+      const assistantMessage = { role: 'assistant', content: text || null };
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls;
+      }
+      messages.push(assistantMessage);
+      continue;
+    }
+
+    // 工具结果转换为 tool 消息（必须紧跟在 assistant 的 tool_calls 之后），其余内容作为 user 消息
+    const userBlocks = [];
+    for (const block of blocks) {
+      if (block.type !== 'tool_result') {
+        userBlocks.push(block);
+        continue;
+      }
+      const result = convertClaudeContentToOpenAI(block.content ?? '');
+      if (typeof result !== 'string') {
+        throw new UnsupportedRequestError('Images in tool results are not supported by OpenAI-compatible upstreams');
+      }
+      messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: result });
+    }
+    if (userBlocks.length > 0) {
+      messages.push({ role: 'user', content: convertClaudeContentToOpenAI(userBlocks) });
+    }
+  }
+
+  const openaiRequest = {
+    model: claudeRequest.model,
+    messages,
+    max_tokens: claudeRequest.max_tokens,
+    stream: Boolean(claudeRequest.stream)
+  };
+  if (openaiRequest.stream) {
+    // 请求在流末尾返回 usage，用于计费和限额
+    openaiRequest.stream_options = { include_usage: true };
+  }
+  if (isValidValue(claudeRequest.temperature)) {
+    openaiRequest.temperature = claudeRequest.temperature;
+  }
+  if (isValidValue(claudeRequest.top_p)) {
+    openaiRequest.top_p = claudeRequest.top_p;
+  }
+  if (Array.isArray(claudeRequest.stop_sequences) && claudeRequest.stop_sequences.length > 0) {
+    openaiRequest.stop = claudeRequest.stop_sequences;
+  }
+  if (isValidValue(claudeRequest.metadata?.user_id)) {
+    openaiRequest.user = claudeRequest.metadata.user_id;
+  }
+
+  if (Array.isArray(claudeRequest.tools) && claudeRequest.tools.length > 0) {
+    openaiRequest.tools = claudeRequest.tools.map(tool => {
+      // 服务端工具（如 web_search）由 Anthropic 执行，OpenAI 兼容后端无法提供
+      if (tool.type && tool.type !== 'custom') {
+        throw new UnsupportedRequestError(`Server tool "${tool.type}" is not supported by OpenAI-compatible upstreams`);
+      }
+      const openaiTool = {
+        type: 'function',
+        function: { name: tool.name, parameters: tool.input_schema || { type: 'object', properties: {} } }
+      };
+      if (isValidValue(tool.description)) {
+        openaiTool.function.description = tool.description;
+      }
+      return openaiTool;
+    });
+    if (claudeRequest.tool_choice) {
+      openaiRequest.tool_choice = convertClaudeToolChoice(claudeRequest.tool_choice);
+      if (claudeRequest.tool_choice.disable_parallel_tool_use) {
+        openaiRequest.parallel_tool_calls = false;
+      }
+    }
+  }
+
+  return openaiRequest;
+}
+
+/**
+ * 转换 OpenAI finish_reason 为 Claude stop_reason
+ */
+function mapFinishReasonToStopReason(finishReason) {
+  switch (finishReason) {
+    case 'length':
+      return 'max_tokens';
+    case 'tool_calls':
+    case 'function_call':
+      return 'tool_use';
+    case 'content_filter':
+      return 'refusal';
+    default:
+      return 'end_turn';
+  }
+}
+
+/**
+ * 转换 OpenAI usage 为 Claude usage
+ * OpenAI 的 prompt_tokens 包含缓存命中的 token，Claude 的 input_tokens 不包含
+ */
+function convertOpenAIUsageToClaude(usage = {}) {
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    input_tokens: Math.max((usage.prompt_tokens || 0) - cachedTokens, 0),
+    output_tokens: usage.completion_tokens || 0,
+    cache_read_input_tokens: cachedTokens,
+    cache_creation_input_tokens: 0
+  };
+}
+
+/**
+ * 转换 OpenAI Chat Completions 响应为 Claude Messages API 响应
+ * reasoning_content 没有思考签名，无法作为 Claude 思考块回传，直接丢弃
+ */
+function convertOpenAIResponseToClaude(openaiResponse, model) {
+  const choice = openaiResponse.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (typeof message.content === 'string' && message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id || `toolu_openai_${content.length}`,
+      name: toolCall.function?.name || '',
+      input: parseUpstreamToolArguments(toolCall.function?.arguments, toolCall.function?.name)
+    });
+  }
+
+  return {
+    id: `msg_${openaiResponse.id || Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: openaiResponse.model || model,
+    content,
+    stop_reason: mapFinishReasonToStopReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: convertOpenAIUsageToClaude(openaiResponse.usage)
+  };
+}
+
+/**
+ * 转换 OpenAI SSE 流为 Claude SSE 流
+ * 文本和每个工具调用各自对应一个 Claude 内容块；usage 在流末尾的 message_delta 中返回
+ * @param {ReadableStream} openaiStream - OpenAI SSE 响应流
+ * @param {string} model - 发往上游的模型名称（上游 chunk 未提供模型时使用）
+ */
+async function convertOpenAIStreamToClaude(openaiStream, model) {
+  const reader = openaiStream.getReader();
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      let buffer = '';
+      let started = false;
+      let finished = false;
+      let blockIndex = -1;
+      let openBlock = null;  // 当前打开的内容块：'text' 或 'tool:<OpenAI tool_calls 索引>'
+      // OpenAI tool_calls 索引 -> Claude 内容块索引（块关闭后仍然保留，用于识别迟到的参数片段）
+      const toolBlocks = new Map();
+      let stopReason = null;
+      let usage = { input_tokens: 0, output_tokens: 0 };
+
+      const send = (type, data = {}) => {
+        controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`));
+      };
+      const startMessage = (chunk = {}) => {
+        if (started) return;
+        started = true;
+        send('message_start', {
+          message: {
+            id: `msg_${chunk.id || Date.now()}`,
+            type: 'message',
+            role: 'assistant',
+            model: chunk.model || model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 }
+          }
+        });
+      };
+      const closeBlock = () => {
+        if (openBlock === null) return;
+        send('content_block_stop', { index: blockIndex });
+        openBlock = null;
+      };
+      const startBlock = (kind, contentBlock) => {
+        closeBlock();
+        blockIndex++;
+        openBlock = kind;
+        send('content_block_start', { index: blockIndex, content_block: contentBlock });
+      };
+      const finishMessage = () => {
+        if (finished) return;
+        finished = true;
+        startMessage();
+        closeBlock();
+        send('message_delta', { delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null }, usage });
+        send('message_stop');
+      };
+
+      const handleChunk = (chunk) => {
+        if (chunk.error) {
+          // 上游在流中返回错误，转换为 Claude error 事件，不再发送 message_stop
+          finished = true;
+          send('error', { error: { type: 'api_error', message: chunk.error.message || 'Unknown error' } });
+          return;
+        }
+        startMessage(chunk);
+        if (chunk.usage) {
+          usage = convertOpenAIUsageToClaude(chunk.usage);
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) return;
+        const delta = choice.delta || {};
+
+        if (typeof delta.content === 'string' && delta.content) {
+          if (openBlock !== 'text') {
+            startBlock('text', { type: 'text', text: '' });
+          }
+          send('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text: delta.content } });
+        }
+
+        for (const toolCall of delta.tool_calls || []) {
+          const toolIndex = toolCall.index ?? 0;
+          if (!toolBlocks.has(toolIndex)) {
+            startBlock(`tool:${toolIndex}`, {
+              type: 'tool_use',
+              id: toolCall.id || `toolu_openai_${toolIndex}`,
+              name: toolCall.function?.name || '',
+              input: {}
+            });
+            toolBlocks.set(toolIndex, blockIndex);
+          } else if (openBlock !== `tool:${toolIndex}`) {
+            // 该工具调用的内容块已经关闭（上游交错返回多个工具调用的参数），Claude 流不能向已关闭的块追加内容，丢弃迟到的片段
+            console.warn(`Dropped arguments for closed tool call block ${toolIndex}`);
+            continue;
+          }
+          if (toolCall.function?.arguments) {
+            send('content_block_delta', {
+              index: toolBlocks.get(toolIndex),
+              delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+            });
+          }
+        }
+
+        if (choice.finish_reason) {
+          stopReason = mapFinishReasonToStopReason(choice.finish_reason);
+        }
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            finishMessage();
+            controller.close();
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+
+            if (data === '[DONE]') {
+              finishMessage();
+              continue;
+            }
+
+            try {
+              handleChunk(JSON.parse(data));
+            } catch (e) {
+              console.error('Error parsing SSE data:', e, data);
+            }
+          }
+        }
+      } catch (error) {
+        console.error('Stream conversion error:', error);
+        controller.error(error);
+      }
+    }
+  });
+}
+
+/**
+ * 生成 OpenAI 模型列表响应
+ */
+function getOpenAIModelsResponse() {
+  const models = [
+    'claude-sonnet-4-5-20250929',
+    'claude-haiku-4-5-20251001',
+    'claude-opus-4-5-20251101'
+  ];
+
+  return {
+    object: 'list',
+    data: models.map(id => ({
+      id,
+      object: 'model',
+      created: Math.floor(Date.now() / 1000),
+      owned_by: 'anthropic'
+    }))
+  };
+}
+
+/**
+ * 按路径长度从长到短返回可匹配的端点（避免 /claude 抢先匹配 /claude/aws）
+ */
+function getEndpointsByPathLength(config) {
+  return config.endpoints
+    .filter(endpoint => endpoint.path)
+    .sort((a, b) => b.path.length - a.path.length);
+}
+
+// OpenAI 格式的接口路径（转换为 Claude Messages API 后转发）
+const OPENAI_API_PATHS = ['/v1/chat/completions', '/v1/responses'];
+
+// Gemini 格式的接口路径（如 /v1beta/models/claude-sonnet-4-5:streamGenerateContent）
+const GEMINI_PATH_PATTERN = /\/v1(?:beta)?\/models\/([^/]+):(generateContent|streamGenerateContent)$/;
+
+/**
+ * 解析请求路径，提取端点信息
+ * 返回 { preferredEndpoint: string|null, apiPath: string, isOpenAI: boolean, isResponses: boolean, isModels: boolean, gemini: object|null }
+ * isResponses 表示 OpenAI Responses API（/v1/responses），此时 isOpenAI 也为 true
+ * gemini 表示 Gemini generateContent 请求：{ model, stream, sse }
+ */
+function parseRequestPath(url, config) {
+  const { pathname, searchParams } = new URL(url);
+  const endpoints = getEndpointsByPathLength(config);
+
+  // 检查是否是 OpenAI Models 路径
+  if (pathname === '/v1/models' || pathname.endsWith('/v1/models')) {
+    return {
+      preferredEndpoint: null,
+      apiPath: '/v1/models',
+      isOpenAI: true,
+      isResponses: false,
+      isModels: true,
+      gemini: null
+    };
+  }
+
+  // 检查是否是 OpenAI Chat Completions 或 Responses 路径
+  const openaiPath = OPENAI_API_PATHS.find(path => pathname.endsWith(path));
+  if (openaiPath) {
+    // 检查是否指定了端点
+    const endpoint = endpoints.find(item => pathname.startsWith(item.path + '/'));
+    return {
+      preferredEndpoint: endpoint ? endpoint.path : null,
+      apiPath: '/v1/messages',
+      isOpenAI: true,
+      isResponses: openaiPath === '/v1/responses',
+      isModels: false,
+      gemini: null
+    };
+  }
+
+  // 检查是否是 Gemini generateContent 路径（模型名称在路径中）
+  const geminiMatch = GEMINI_PATH_PATTERN.exec(pathname);
+  if (geminiMatch) {
+    const endpoint = endpoints.find(item => pathname.startsWith(item.path + '/'));
+    return {
+      preferredEndpoint: endpoint ? endpoint.path : null,
+      apiPath: '/v1/messages',
+      isOpenAI: false,
+      isResponses: false,
+      isModels: false,
+      gemini: {
+        model: decodeURIComponent(geminiMatch[1]),
+        stream: geminiMatch[2] === 'streamGenerateContent',
+        sse: searchParams.get('alt') === 'sse'
+      }
+    };
+  }
+
+  // 检查是否匹配端点路径
+  for (const endpoint of endpoints) {
+    if (pathname.startsWith(endpoint.path + '/') || pathname === endpoint.path) {
+      // 提取端点后的 API 路径
+      const apiPath = pathname.slice(endpoint.path.length) || '/';
+      return { preferredEndpoint: endpoint.path, apiPath, isOpenAI: false, isResponses: false, isModels: false, gemini: null };
+    }
+  }
+
+  // 没有匹配到特定端点，使用默认路由
+  return { preferredEndpoint: null, apiPath: pathname, isOpenAI: false, isResponses: false, isModels: false, gemini: null };
+}
+
+/**
+ * 按源的认证覆盖配置改写认证头
+ * 配置了固定密钥时使用该密钥，其次使用虚拟密钥映射的上游密钥，否则沿用客户端凭据，只改写请求头格式
+ * @param {string|null} upstreamKey - 虚拟密钥映射的上游密钥
+ */
+function applySourceAuth(headers, source, upstreamKey = null) {
+  if (!source.auth) {
+    // 替换客户端的虚拟密钥，保持客户端使用的认证头
+    if (upstreamKey) {
+      if (headers.has('x-api-key') || !headers.has('authorization')) {
+        headers.delete('authorization');
+        headers.set('x-api-key', upstreamKey);
+      } else {
+        headers.set('authorization', `Bearer ${upstreamKey}`);
+      }
+    }
+    return;
+  }
+
+  const credential = source.auth.key || upstreamKey || readClientCredential(headers);
+  if (!credential) {
+    return;
+  }
+
+  headers.delete('x-api-key');
+  headers.delete('authorization');
+  headers.set(source.auth.header, source.auth.scheme ? `${source.auth.scheme} ${credential}` : credential);
+}
+
+/**
+ * 判断请求头名称是否匹配列表中的任一名称（支持通配符，如 x-stainless-*）
+ */
+function matchesHeaderName(patterns, name) {
+  return patterns.some(pattern => matchesModelPattern(pattern, name));
+}
+
+/**
+ * 按请求头策略改写转发给上游的请求头
+ * 依次应用全局、源和档位的策略，每个策略之后应用 User-Agent 匹配的规则（按客户端原始 User-Agent 匹配）；
+ * allow 和 stripClientIdentity 以最后一个配置了该项的策略为准，deny、set 和 anthropicBeta 依次累加；
+ * 最后总是移除路由器自己的控制头（ROUTER_INTERNAL_HEADERS）
+ * @param {Array<object|null>} policies - 按顺序应用的策略，空值跳过
+ */
+function applyHeaderPolicies(headers, policies) {
+  const userAgent = headers.get('user-agent') || '';
+  const layers = [];
+  let stripClientIdentity = true;
+  for (const policy of policies) {
+    if (!policy) {
+      continue;
+    }
+    const matchesUserAgent = patterns => patterns.some(pattern => matchesModelPattern(pattern, userAgent));
+    layers.push(policy, ...policy.rules.filter(rule => matchesUserAgent(rule.userAgent) && !matchesUserAgent(rule.excludeUserAgent)));
+    stripClientIdentity = policy.stripClientIdentity ?? stripClientIdentity;
+  }
+  const allow = layers.reduce((current, layer) => layer.allow ?? current, null);
+
+  for (const name of [...headers.keys()]) {
+    if (PROTECTED_HEADERS.includes(name)) {
+      continue;
+    }
+    const dropped = (allow && !matchesHeaderName(allow, name)) ||
+      layers.some(layer => matchesHeaderName(layer.deny, name)) ||
+      (stripClientIdentity && matchesHeaderName(CLIENT_IDENTITY_HEADERS, name));
+    if (dropped) {
+      headers.delete(name);
+    }
+  }
+
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer.set)) {
+      headers.set(name, value);
+    }
+    if (layer.anthropicBeta.length > 0) {
+      const flags = (headers.get('anthropic-beta') || '').split(',').map(flag => flag.trim()).filter(Boolean);
+      for (const flag of layer.anthropicBeta) {
+        if (!flags.includes(flag)) {
+          flags.push(flag);
+        }
+      }
+      headers.set('anthropic-beta', flags.join(','));
+    }
+  }
+
+  for (const name of ROUTER_INTERNAL_HEADERS) {
+    headers.delete(name);
+  }
+}
+
+// OpenAI 兼容后端的错误类型名称不统一，按状态码确定 Claude 错误类型（其他状态码为 api_error）
+const CLAUDE_ERROR_TYPES_BY_STATUS = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error'
+};
+
+/**
+ * 上游提供方适配器，档位通过 provider 选择上游使用的 API 格式
+ * - supportsPath(apiPath): 是否支持该 API 路径，不支持的档位不参与路由
+ * - prepareRequest(request, headers, apiPath): 在应用源认证之前调用，返回 { path, body, context }
+ *   请求内容无法转换时抛出 UnsupportedRequestError
+ * - convertResponse(response, context): 将上游响应转换为 Claude Messages API 格式
+ */
+const PROVIDER_ADAPTERS = {
+  // Claude Messages API，原样转发
+  anthropic: {
+    supportsPath: () => true,
+    async prepareRequest(request, headers, apiPath) {
+      return { path: apiPath, body: request.body, context: null };
+    },
+    convertResponse: response => response
+  },
+
+  // OpenAI Chat Completions 兼容后端（vLLM、Ollama、其他转发站等），只支持 /v1/messages
+  openai: {
+    supportsPath: apiPath => apiPath === '/v1/messages',
+    async prepareRequest(request, headers) {
+      const claudeRequest = await request.json();
+      const openaiRequest = convertClaudeToOpenAIRequest(claudeRequest);
+
+      // OpenAI 兼容后端使用 Bearer 认证，不需要 Anthropic 专用请求头
+      const credential = readClientCredential(headers);
+      headers.delete('x-api-key');
+      if (credential) {
+        headers.set('authorization', `Bearer ${credential}`);
+      }
+      headers.delete('anthropic-version');
+      headers.delete('anthropic-beta');
+      headers.delete('content-length');
+
+      return {
+        path: '/v1/chat/completions',
+        body: JSON.stringify(openaiRequest),
+        context: { model: openaiRequest.model, stream: openaiRequest.stream }
+      };
+    },
+    async convertResponse(response, { model, stream }) {
+      const headers = new Headers(response.headers);
+      headers.delete('content-length');
+      headers.delete('content-encoding');
+
+      // 错误响应转换为 Claude 错误格式，保留状态码和限流头
+      if (!response.ok) {
+        const upstreamError = parseUpstreamError(await response.text(), response.status);
+        const type = CLAUDE_ERROR_TYPES_BY_STATUS[response.status] || 'api_error';
+        headers.set('content-type', 'application/json');
+        return new Response(JSON.stringify(createErrorBody(type, upstreamError.message, 'claude')), {
+          status: response.status,
+          headers
+        });
+      }
+
+      if (stream && response.headers.get('content-type')?.includes('text/event-stream')) {
+        return new Response(await convertOpenAIStreamToClaude(response.body, model), { status: response.status, headers });
+      }
+
+      headers.set('content-type', 'application/json');
+      const claudeResponse = convertOpenAIResponseToClaude(await response.json(), model);
+      return new Response(JSON.stringify(claudeResponse), { status: response.status, headers });
+    }
+  }
+};
+
+/**
+ * 代理请求到指定端点，按档位的 provider 转换请求和响应格式
+ * @param {Request} request - 原始请求
+ * @param {object} source - 上游源配置
+ * @param {object} endpoint - 端点档位配置
+ * @param {string} apiPath - API 路径
+ * @param {object} options - { upstreamKey: 虚拟密钥映射的上游密钥, headerPolicy: 全局请求头策略,
+ *   onHeaders: 收到上游响应头时的回调（在读取和转换响应体之前调用，用于清除首字节超时） }
+ */
+async function proxyRequest(request, source, endpoint, apiPath, { upstreamKey = null, headerPolicy = null, onHeaders = null } = {}) {
+  const adapter = PROVIDER_ADAPTERS[endpoint.provider];
+  const url = new URL(request.url);
+
+  const headers = new Headers(request.headers);
+  applyHeaderPolicies(headers, [headerPolicy, source.headers, endpoint.headers]);
+  let upstream;
+  try {
+    upstream = await adapter.prepareRequest(request, headers, apiPath);
+  } catch (error) {
+    if (error instanceof UnsupportedRequestError) {
+      throw error;
+    }
+    throw new InvalidRequestError(`Invalid request body: ${error.message}`);
+  }
+  applySourceAuth(headers, source, upstreamKey);
+
+  const targetUrl = `${source.baseUrl}${endpoint.path}${upstream.path}${url.search}`;
+  const proxyRequest = new Request(targetUrl, {
+    method: request.method,
+    headers: headers,
+    body: upstream.body,
+    redirect: 'follow',
+    signal: request.signal
+  });
+
+  const response = await fetch(proxyRequest);
+  onHeaders?.();
+  try {
+    return await adapter.convertResponse(response, upstream.context);
+  } catch (error) {
+    throw new InvalidUpstreamResponseError(`Invalid upstream response: ${error.message}`);
+  }
+}
+
+/**
+ * 等待上游响应头超时
+ */
+class UpstreamTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UpstreamTimeoutError';
+  }
+}
+
+/**
+ * 档位的上游格式无法表示该请求（如 OpenAI 兼容后端收到 PDF 或服务端工具），跳过该档位
+ */
+class UnsupportedRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedRequestError';
+  }
+}
+
+/**
+ * 请求体无法解析或转换为档位的上游格式（客户端错误），直接返回 400，不影响端点健康状态
+ */
+class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRequestError';
+  }
+}
+
+/**
+ * 收到响应头后无法转换上游响应（如返回的不是合法 JSON），换源重试，不影响端点健康状态
+ */
+class InvalidUpstreamResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidUpstreamResponseError';
+  }
+}
+
+// 上游响应的错误分类
+const ERROR_CLASS = {
+  SUCCESS: 'success',            // 2xx / 3xx
+  CLIENT_ERROR: 'client_error',  // 请求本身有问题（400、401、403、413 等），不重试
+  RETRYABLE: 'retryable',        // 408、429、5xx，换源或换端点重试
+  NETWORK_ERROR: 'network_error', // 网络错误，换源或换端点重试
+  TIMEOUT: 'timeout',            // 超时未收到响应头，换源或换端点重试
+  UNSUPPORTED: 'unsupported',    // 档位的上游格式无法表示该请求，换端点重试，不影响端点健康状态
+  INVALID_RESPONSE: 'invalid_response' // 上游响应无法转换，换源重试，不影响端点健康状态
+};
+
+/**
+ * 根据上游状态码对响应分类
+ */
+function classifyUpstreamStatus(status) {
+  if (status < 400) {
+    return ERROR_CLASS.SUCCESS;
+  }
+  if (status === 408 || status === 429 || status >= 500) {
+    return ERROR_CLASS.RETRYABLE;
+  }
+  return ERROR_CLASS.CLIENT_ERROR;
+}
+
+/**
+ * 从上游错误响应体中提取错误类型和消息（兼容 Anthropic 和 OpenAI 错误格式）
+ */
+function parseUpstreamError(body, status) {
+  try {
+    const parsed = JSON.parse(body);
+    const error = parsed?.error;
+    if (error && typeof error === 'object') {
+      return {
+        type: error.type || 'api_error',
+        message: error.message || `Upstream returned ${status}`
+      };
+    }
+    // 部分 OpenAI 兼容后端（如 vLLM）的错误体没有 error 对象：{ object: 'error', message, type }
+    if (typeof parsed?.message === 'string') {
+      return { type: status === 429 ? 'rate_limit_error' : 'api_error', message: parsed.message };
+    }
+  } catch (e) {
+    // 非 JSON 错误体，使用原始文本
+  }
+  return {
+    type: status === 429 ? 'rate_limit_error' : 'api_error',
+    message: body ? body.slice(0, 1000) : `Upstream returned ${status}`
+  };
+}
+
+// Claude 错误类型对应的 Gemini 错误码和状态
+const GEMINI_ERROR_STATUS = {
+  invalid_request_error: [400, 'INVALID_ARGUMENT'],
+  authentication_error: [401, 'UNAUTHENTICATED'],
+  permission_error: [403, 'PERMISSION_DENIED'],
+  not_found_error: [404, 'NOT_FOUND'],
+  request_too_large: [413, 'INVALID_ARGUMENT'],
+  rate_limit_error: [429, 'RESOURCE_EXHAUSTED'],
+  overloaded_error: [503, 'UNAVAILABLE'],
+  timeout_error: [504, 'DEADLINE_EXCEEDED']
+};
+
+/**
+ * 构造错误响应体，格式与请求格式一致
+ * claude: { type: 'error', error: { type, message } }
+ * openai: { error: { message, type, code } }
+ * gemini: { error: { code, message, status } }
+ * @param {string} format - 客户端请求格式：claude、openai 或 gemini
+ */
+function createErrorBody(type, message, format, extra = {}) {
+  if (format === 'openai') {
+    return { error: { message, type, code: null }, ...extra };
+  }
+  if (format === 'gemini') {
+    const [code, status] = GEMINI_ERROR_STATUS[type] || [500, 'INTERNAL'];
+    return { error: { code, message, status }, ...extra };
+  }
+  return { type: 'error', error: { type, message }, ...extra };
+}
+
+/**
+ * 没有档位能够完成 count_tokens 请求时，返回本地估算的 token 数（响应头 X-Token-Count-Estimate: true）
+ * 请求体不是 JSON 时返回 null
+ */
+async function createTokenEstimateResponse(request, attempts) {
+  let claudeRequest;
+  try {
+    claudeRequest = await request.json();
+  } catch (e) {
+    return null;
+  }
+
+  console.warn(`count_tokens failed on all tiers (${attempts.length} attempts), returning local estimate`);
+  return new Response(JSON.stringify({ input_tokens: estimateInputTokens(claudeRequest) }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'X-Token-Count-Estimate': 'true'
+    }
+  });
+}
+
+/**
+ * 生成尝试记录的文字摘要（如 "droid/newcli: 503, droid/dm-fox: network_error"）
+ */
+function summarizeAttempts(attempts) {
+  return attempts
+    .map(attempt => `${attempt.endpoint}/${attempt.source}: ${attempt.status ?? attempt.errorClass}`)
+    .join(', ');
+}
+
+/**
+ * 所有端点都失败时，返回最后一次上游错误（按请求格式包装）和尝试摘要
+ */
+function createAllEndpointsFailedResponse(result, format) {
+  const { attempts, lastError } = result;
+
+  // 虚拟密钥不允许使用请求的模型
+  if (result.forbiddenModel) {
+    const message = `This API key is not allowed to use model "${result.forbiddenModel}"`;
+    return new Response(JSON.stringify(createErrorBody('permission_error', message, format)), {
+      status: 403,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  // 没有任何档位支持请求的模型，属于请求错误
+  if (result.unsupportedModel) {
+    const message = `Model "${result.unsupportedModel}" is not served by any configured tier`;
+    return new Response(JSON.stringify(createErrorBody('invalid_request_error', message, format)), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  const status = lastError?.status || 503;
+  const upstreamError = lastError
+    ? parseUpstreamError(lastError.body, lastError.status)
+    : { type: 'api_error', message: attempts.length > 0 ? 'All endpoints failed' : 'No routable endpoints (disabled or outside the pinned tier)' };
+
+  const message = attempts.length > 0
+    ? `${upstreamError.message} (all endpoints failed after ${attempts.length} attempts: ${summarizeAttempts(attempts)})`
+    : upstreamError.message;
+
+  return new Response(JSON.stringify(createErrorBody(upstreamError.type, message, format, { attempts })), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+/**
+ * 尝试所有端点，直到成功、遇到客户端错误或全部失败
+ * 如果指定了 preferredEndpoint，优先使用该端点，失败后从该位置往后尝试
+ * 否则按价格从低到高尝试
+ * 对于每个端点，按源选择策略依次尝试各个源（默认按延迟和成功率加权），所有源都失败才切换到下一个端点
+ * 启用档位降级时，便宜档位严重降级会先尝试下一个档位
+ * 客户端错误（如 400、401）直接返回，不切换端点，也不计入端点失败
+ * 不支持请求模型的档位会被跳过，健康状态按模型系列分别记录
+ * count_tokens 请求优先使用已知支持该接口的档位，跳过已知不支持的档位，失败不计入端点失败
+ * @param {object|null} clientKey - 已校验的虚拟密钥（authenticateVirtualKey），限制可用的档位、源和模型
+ */
+async function tryEndpoints(request, manager, config, apiPath, preferredEndpoint = null, clientKey = null) {
+  const { endpoints, sources } = config;
+  const requestBody = await request.clone().arrayBuffer();
+  const requestHeaders = new Headers(request.headers);  // 保存请求头
+  const triedEndpoints = new Set();  // 记录已尝试的端点（不含源信息）
+  const attempts = [];  // 每次尝试的结果摘要
+  let lastError = null;  // 最后一次可重试错误的上游响应
+  const countTokens = apiPath === COUNT_TOKENS_PATH;
+
+  // 读取请求的模型（非 JSON 请求或没有模型时不按模型路由）
+  let requestJson = null;
+  if (requestBody.byteLength > 0) {
+    try {
+      requestJson = JSON.parse(new TextDecoder().decode(requestBody));
+    } catch (e) {
+      // 非 JSON 请求体，原样转发
+    }
+  }
+  const requestModel = typeof requestJson?.model === 'string' ? requestJson.model : null;
+  manager = manager.forModelFamily(getModelFamily(requestModel));
+  await manager.prefetch(countTokens);
+  // 用于跳过剩余额度不足的源：与 count_tokens 的本地估算一致，图片和 PDF 按固定 token 数计算，不按 base64 数据的长度
+  const requestTokens = requestJson && typeof requestJson === 'object' ? estimateInputTokens(requestJson) : 0;
+
+  // 虚拟密钥只能使用允许的模型、档位和映射了上游密钥的源
+  if (clientKey) {
+    if (requestModel && clientKey.allowedModels && !clientKey.allowedModels.some(pattern => matchesModelPattern(pattern, requestModel))) {
+      return { response: null, endpointIndex: -1, baseUrlIndex: -1, success: false, attempts, lastError, forbiddenModel: requestModel };
+    }
+    manager.routeFilter = createVirtualKeyRouteFilter(clientKey, config);
+  }
+
+  // 不支持该模型的档位不参与路由
+  const endpointModels = endpoints.map(endpoint => (requestModel ? resolveEndpointModel(endpoint, requestModel) : undefined));
+  if (requestModel && endpointModels.every(model => model === null)) {
+    return { response: null, endpointIndex: -1, baseUrlIndex: -1, success: false, attempts, lastError, unsupportedModel: requestModel };
+  }
+
+  // count_tokens 请求跳过已知不支持该接口的"端点+源"
+  let countTokensSupport = null;
+  if (countTokens) {
+    countTokensSupport = await Promise.all(endpoints.map((endpoint, endpointIndex) => (
+      Promise.all(sources.map((source, baseUrlIndex) => manager.getCountTokensSupport(endpointIndex, baseUrlIndex)))
+    )));
+    const routeFilter = manager.routeFilter;
+    manager.routeFilter = (endpointIndex, baseUrlIndex) => (
+      countTokensSupport[endpointIndex][baseUrlIndex] !== false && (!routeFilter || routeFilter(endpointIndex, baseUrlIndex))
+    );
+  }
+
+  // 管理员禁用了所有源的端点（或固定档位之外的端点）、上游格式不支持该 API 路径的端点不参与路由，兜底时也不尝试
+  await manager.loadOverrides();
+  for (let i = 0; i < endpoints.length; i++) {
+    if (endpointModels[i] === null || !PROVIDER_ADAPTERS[endpoints[i].provider].supportsPath(apiPath) ||
+        !sources.some((source, baseUrlIndex) => manager.isRoutable(i, baseUrlIndex))) {
+      triedEndpoints.add(i);
+    }
+  }
+
+  // 如果指定了优先端点，确定起始位置
+  let startIndex = 0;
+  if (preferredEndpoint) {
+    const preferredIndex = endpoints.findIndex(endpoint => endpoint.path === preferredEndpoint);
+    if (preferredIndex !== -1) {
+      startIndex = preferredIndex;
+    }
+  } else if (countTokens) {
+    // count_tokens 请求从已知支持该接口的第一个档位开始
+    const supportedIndex = endpoints.findIndex((endpoint, i) => (
+      !triedEndpoints.has(i) && sources.some((source, baseUrlIndex) => countTokensSupport[i][baseUrlIndex] === true && manager.isRoutable(i, baseUrlIndex))
+    ));
+    if (supportedIndex !== -1) {
+      startIndex = supportedIndex;
+    }
+  }
+
+  // 检查端点是否至少有一个源可用
+  const hasAvailableSource = async (endpointIndex) => {
+    for (let baseUrlIndex = 0; baseUrlIndex < sources.length; baseUrlIndex++) {
+      if (await manager.isAvailable(endpointIndex, baseUrlIndex, requestTokens)) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const { degradedSuccessRate, degradedLatencyRatio } = config.selection;
+  const tierDegradation = degradedSuccessRate !== null || degradedLatencyRatio !== null;
+  const demotedEndpoints = new Set();  // 因严重降级让位给下一个档位的端点
+
+  // 按优先级顺序尝试所有端点
+  for (let attempt = 0; attempt < endpoints.length; attempt++) {
+    let currentIndex = -1;
+
+    // 从起始位置开始，按顺序查找下一个可用端点（至少一个源可用）
+    for (let i = startIndex; i < endpoints.length; i++) {
+      if (triedEndpoints.has(i)) continue;
+
+      if (await hasAvailableSource(i)) {
+        currentIndex = i;
+        break;
+      }
+    }
+
+    // 如果从起始位置往后没找到，尝试起始位置之前的端点
+    if (currentIndex === -1 && startIndex > 0) {
+      for (let i = 0; i < startIndex; i++) {
+        if (triedEndpoints.has(i)) continue;
+
+        if (await hasAvailableSource(i)) {
+          currentIndex = i;
+          break;
+        }
+      }
+    }
+
+    // 档位严重降级时，先尝试下一个可用的更贵档位（每个档位只让位一次，之后仍会作为后备尝试）
+    // 按 explorationRatio 的比例仍然先尝试降级的档位，使其统计能够恢复
+    const explore = Math.random() < config.selection.explorationRatio;
+    if (tierDegradation && !explore && currentIndex !== -1 && !demotedEndpoints.has(currentIndex)) {
+      for (let i = currentIndex + 1; i < endpoints.length; i++) {
+        if (triedEndpoints.has(i) || !(await hasAvailableSource(i))) continue;
+
+        if (await manager.isTierDegraded(currentIndex, i)) {
+          demotedEndpoints.add(currentIndex);
+          currentIndex = i;
+        }
+        break;
+      }
+    }
+
+    // 如果还是没有可用端点，尝试任何未尝试的端点（包括冷却期的）
+    if (currentIndex === -1) {
+      for (let i = startIndex; i < endpoints.length; i++) {
+        if (!triedEndpoints.has(i)) {
+          currentIndex = i;
+          break;
+        }
+      }
+      if (currentIndex === -1 && startIndex > 0) {
+        for (let i = 0; i < startIndex; i++) {
+          if (!triedEndpoints.has(i)) {
+            currentIndex = i;
+            break;
+          }
+        }
+      }
+    }
+
+    if (currentIndex === -1) break;
+
+    triedEndpoints.add(currentIndex);
+    const endpoint = endpoints[currentIndex];
+
+    // 档位配置了模型名称改写时，改写请求体中的模型
+    const upstreamModel = endpointModels[currentIndex] || requestModel;
+    let endpointBody = requestBody;
+    let endpointHeaders = requestHeaders;
+    if (upstreamModel !== requestModel) {
+      endpointBody = new TextEncoder().encode(JSON.stringify({ ...requestJson, model: upstreamModel }));
+      endpointHeaders = new Headers(requestHeaders);
+      endpointHeaders.delete('content-length');
+    }
+
+    // 对于当前端点，依次尝试可用的源，跳过冷却中或额度不足的源
+    // 源的顺序由选择策略决定（按延迟和成功率加权，或主源 -> 备源）
+    // 如果所有源都不可用（最后的兜底尝试），仍然依次尝试所有源
+    let sourceIndexes = [];
+    for (let baseUrlIndex = 0; baseUrlIndex < sources.length; baseUrlIndex++) {
+      if (await manager.isAvailable(currentIndex, baseUrlIndex, requestTokens)) {
+        sourceIndexes.push(baseUrlIndex);
+      }
+    }
+    const lastResort = sourceIndexes.length === 0;
+    if (lastResort) {
+      sourceIndexes.push(...[...sources.keys()].filter(baseUrlIndex => manager.isRoutable(currentIndex, baseUrlIndex)));
+    }
+    sourceIndexes = await manager.orderSources(currentIndex, sourceIndexes);
+
+    // 发起一次尝试：超过首字节超时时间没有收到响应头则中止
+    const startAttempt = (baseUrlIndex) => {
+      const controller = new AbortController();
+      const timeoutMs = endpoint.attempt.firstByteTimeoutMs;
+      const timer = timeoutMs === null ? null : setTimeout(() => {
+        controller.abort(new UpstreamTimeoutError(`No response headers within ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+
+      // 重新创建请求（因为 body 只能读取一次）
+      const clonedRequest = new Request(request.url, {
+        method: request.method,
+        headers: endpointHeaders,
+        body: endpointBody.byteLength > 0 ? endpointBody : null,
+        signal: controller.signal
+      });
+
+      const upstreamKey = pickUpstreamKey(clientKey, sources[baseUrlIndex]);
+      const startedAt = Date.now();
+      let headersAt = null;
+      // 收到响应头后清除首字节超时：OpenAI 兼容后端的非流式响应需要读取完整响应体再转换，不应计入首字节超时
+      const onHeaders = () => {
+        headersAt = Date.now();
+        clearTimeout(timer);
+      };
+      const promise = proxyRequest(clonedRequest, sources[baseUrlIndex], endpoint, apiPath, { upstreamKey, headerPolicy: config.headers, onHeaders })
+        .then(response => ({ baseUrlIndex, startedAt, headersAt, response }))
+        .catch(error => ({ baseUrlIndex, startedAt, error: controller.signal.reason instanceof UpstreamTimeoutError ? controller.signal.reason : error }))
+        .finally(() => clearTimeout(timer));
+      return { controller, promise };
+    };
+
+    // 处理一次尝试的结果，返回最终结果；可重试的失败返回 null
+    const handleOutcome = async ({ baseUrlIndex, startedAt, headersAt, response, error }) => {
+      // 延迟按收到响应头的时间计算（不包括转换响应体的时间）
+      const latencyMs = (headersAt ?? Date.now()) - startedAt;
+      // 请求无法转换为该档位的上游格式，换端点重试，不影响端点健康状态
+      if (error instanceof UnsupportedRequestError) {
+        attempts.push({
+          endpoint: endpoint.name,
+          source: sources[baseUrlIndex].name,
+          status: null,
+          errorClass: ERROR_CLASS.UNSUPPORTED,
+          latencyMs,
+          error: error.message
+        });
+        await manager.release(currentIndex, baseUrlIndex);
+        return null;
+      }
+      // 请求体有问题，换端点也不会成功，直接返回 400 且不影响端点健康状态
+      if (error instanceof InvalidRequestError) {
+        attempts.push({
+          endpoint: endpoint.name,
+          source: sources[baseUrlIndex].name,
+          status: 400,
+          errorClass: ERROR_CLASS.CLIENT_ERROR,
+          latencyMs,
+          error: error.message
+        });
+        await manager.release(currentIndex, baseUrlIndex);
+        return {
+          response: new Response(JSON.stringify(createErrorBody('invalid_request_error', error.message, 'claude')), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }),
+          endpointIndex: currentIndex,
+          baseUrlIndex,
+          success: false,
+          attempts,
+          requestModel,
+          upstreamModel
+        };
+      }
+      // 上游返回了无法转换的响应，换源重试，一次异常的回复不计入端点失败
+      if (error instanceof InvalidUpstreamResponseError) {
+        attempts.push({
+          endpoint: endpoint.name,
+          source: sources[baseUrlIndex].name,
+          status: null,
+          errorClass: ERROR_CLASS.INVALID_RESPONSE,
+          latencyMs,
+          error: error.message
+        });
+        await manager.release(currentIndex, baseUrlIndex);
+        return null;
+      }
+      if (error) {
+        const errorClass = error instanceof UpstreamTimeoutError ? ERROR_CLASS.TIMEOUT : ERROR_CLASS.NETWORK_ERROR;
+        attempts.push({
+          endpoint: endpoint.name,
+          source: sources[baseUrlIndex].name,
+          status: null,
+          errorClass,
+          latencyMs,
+          error: error.message
+        });
+        // count_tokens 请求的失败不计入端点失败（很多档位没有实现该接口）
+        if (countTokens) {
+          await manager.release(currentIndex, baseUrlIndex);
+          return null;
+        }
+        // 健康状态和滚动统计是不同的键，并发更新
+        await Promise.all([
+          manager.recordFailure(currentIndex, baseUrlIndex, null, null, error.message),
+          // 超时的耗时计入延迟统计，网络错误只计入成功率
+          manager.recordSample(currentIndex, baseUrlIndex, {
+            latencyMs: errorClass === ERROR_CLASS.TIMEOUT ? latencyMs : null,
+            success: false
+          })
+        ]);
+        return null;
+      }
+
+      const errorClass = countTokens && COUNT_TOKENS_UNSUPPORTED_STATUSES.includes(response.status)
+        ? ERROR_CLASS.UNSUPPORTED
+        : classifyUpstreamStatus(response.status);
+      const rateLimit = parseRateLimitHeaders(response.headers);
+      attempts.push({ endpoint: endpoint.name, source: sources[baseUrlIndex].name, status: response.status, errorClass, latencyMs });
+
+      // 上游没有实现 count_tokens，记录为不支持，换源或换端点重试
+      if (errorClass === ERROR_CLASS.UNSUPPORTED) {
+        await manager.recordCountTokensSupport(currentIndex, baseUrlIndex, false);
+        await manager.release(currentIndex, baseUrlIndex);
+        return null;
+      }
+
+      // 如果响应成功（2xx 或 3xx），记录成功并返回
+      // count_tokens 的耗时不代表消息请求的延迟，不计入滚动统计
+      if (errorClass === ERROR_CLASS.SUCCESS) {
+        await Promise.all([
+          manager.recordSuccess(currentIndex, baseUrlIndex, rateLimit),
+          countTokens
+            ? manager.recordCountTokensSupport(currentIndex, baseUrlIndex, true)
+            : manager.recordSample(currentIndex, baseUrlIndex, { latencyMs, success: true })
+        ]);
+        return {
+          response,
+          endpointIndex: currentIndex,
+          baseUrlIndex,
+          success: true,
+          attempts,
+          requestModel,
+          upstreamModel,
+          modelFamily: manager.modelFamily,
+          startedAt
+        };
+      }
+
+      // 客户端错误（请求本身有问题），换端点也不会成功，直接返回且不影响端点健康状态
+      if (errorClass === ERROR_CLASS.CLIENT_ERROR) {
+        await manager.release(currentIndex, baseUrlIndex);
+        return {
+          response,
+          endpointIndex: currentIndex,
+          baseUrlIndex,
+          success: false,
+          attempts,
+          requestModel,
+          upstreamModel
+        };
+      }
+
+      // 可重试错误（429 / 5xx），保存错误内容，记录失败（count_tokens 请求除外）并尝试下一个源
+      lastError = {
+        status: response.status,
+        body: await response.text(),
+        contentType: response.headers.get('content-type')
+      };
+      if (countTokens) {
+        await manager.release(currentIndex, baseUrlIndex);
+        return null;
+      }
+      const upstreamError = parseUpstreamError(lastError.body, response.status);
+      await Promise.all([
+        manager.recordFailure(currentIndex, baseUrlIndex, response.status, rateLimit, upstreamError.message),
+        manager.recordSample(currentIndex, baseUrlIndex, { success: false })
+      ]);
+      return null;
+    };
+
+    // 依次尝试各个源；配置了对冲延迟时，当前源超过该时间没有响应就同时尝试下一个源，使用先得到的结果
+    const inFlight = new Map();
+    let nextSource = 0;
+    let hedged = false;
+    const launchNext = async () => {
+      while (nextSource < sourceIndexes.length) {
+        const baseUrlIndex = sourceIndexes[nextSource++];
+        // 熔断器未闭合时，只有获得半开试探许可的请求可以通过（兜底尝试除外）
+        if (!lastResort && !(await manager.tryAcquire(currentIndex, baseUrlIndex))) {
+          continue;
+        }
+        inFlight.set(baseUrlIndex, startAttempt(baseUrlIndex));
+        return;
+      }
+    };
+
+    await launchNext();
+    while (inFlight.size > 0) {
+      const hedgeDelayMs = endpoint.attempt.hedgeDelayMs;
+      let hedgeTimer = null;
+      const waits = [...inFlight.values()].map(attempt => attempt.promise);
+      if (hedgeDelayMs !== null && nextSource < sourceIndexes.length) {
+        waits.push(new Promise(resolve => {
+          hedgeTimer = setTimeout(() => resolve(null), hedgeDelayMs);
+        }));
+      }
+      const outcome = await Promise.race(waits);
+      clearTimeout(hedgeTimer);
+
+      // 对冲：当前的请求还没有响应，同时向下一个源发送
+      if (!outcome) {
+        hedged = true;
+        await launchNext();
+        continue;
+      }
+
+      inFlight.delete(outcome.baseUrlIndex);
+      const result = await handleOutcome(outcome);
+      if (result) {
+        // 取消其他仍在进行的对冲请求，并归还它们的试探许可
+        for (const [baseUrlIndex, attempt] of inFlight) {
+          attempt.controller.abort(new Error('Cancelled by hedged request'));
+          await manager.release(currentIndex, baseUrlIndex);
+        }
+        return { ...result, hedged };
+      }
+      if (inFlight.size === 0) {
+        await launchNext();
+      }
+    }
+
+    // 所有源都失败了，继续尝试下一个端点
+  }
+
+  // 所有端点的所有源都失败了
+  return { response: null, endpointIndex: -1, baseUrlIndex: -1, success: false, attempts, lastError, requestModel };
+}
+
+/**
+ * 在价格表中查找模型价格（按书写顺序匹配第一个模式）
+ */
+function findModelPrice(table, model) {
+  return table.find(entry => matchesModelPattern(entry.pattern, model))?.price ?? null;
+}
+
+/**
+ * 获取模型在档位上的价格（美元 / 百万 token）
+ * 优先使用档位单独的价格表，否则使用全局价格乘以档位的 costMultiplier
+ */
+function getEndpointPrice(config, endpoint, model) {
+  const endpointPrice = findModelPrice(endpoint.pricing, model);
+  if (endpointPrice) {
+    return endpointPrice;
+  }
+  const price = findModelPrice(config.pricing, model);
+  if (!price) {
+    return null;
+  }
+  return Object.fromEntries(PRICE_FIELDS.map(field => [field, price[field] * endpoint.costMultiplier]));
+}
+
+/**
+ * 按价格计算用量费用（美元），没有价格时为 0
+ */
+function calculateCost(usage, price) {
+  if (!price) {
+    return 0;
+  }
+  return (
+    usage.inputTokens * price.input +
+    usage.outputTokens * price.output +
+    usage.cacheReadTokens * price.cacheRead +
+    usage.cacheWriteTokens * price.cacheWrite
+  ) / 1e6;
+}
+
+/**
+ * 计算客户端密钥的哈希（用于按密钥统计用量，不保存原始密钥）
+ */
+async function hashClientKey(headers) {
+  const key = readClientCredential(headers);
+  if (!key) {
+    return 'anonymous';
+  }
+  return (await sha256Hex(key)).slice(0, 16);
+}
+
+/**
+ * 获取 UTC 日期（YYYY-MM-DD）
+ */
+function getUsageDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * 从 Claude usage 对象中读取 token 数，写入 target（后出现的值覆盖先出现的值）
+ */
+function readClaudeUsage(usage, target) {
+  if (!usage || typeof usage !== 'object') {
+    return;
+  }
+  const fields = {
+    input_tokens: 'inputTokens',
+    output_tokens: 'outputTokens',
+    cache_read_input_tokens: 'cacheReadTokens',
+    cache_creation_input_tokens: 'cacheWriteTokens'
+  };
+  for (const [claudeField, field] of Object.entries(fields)) {
+    if (typeof usage[claudeField] === 'number') {
+      target[field] = usage[claudeField];
+    }
+  }
+}
+
+/**
+ * 创建用量计量流：原样透传上游 Claude 响应，同时提取 usage
+ * 流式响应读取 message_start 和 message_delta 事件（并记录第一个 content_block_delta 的时间），非流式响应读取 JSON 中的 usage
+ * @param {boolean} isStream - 是否为 SSE 流式响应
+ * @param {Function} onUsage - 响应结束时调用 onUsage({ model, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, firstTokenAt })
+ */
+function createUsageMeter(isStream, onUsage) {
+  const decoder = new TextDecoder();
+  const usage = { model: null, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, firstTokenAt: null };
+  let buffer = '';
+
+  const handleEvent = (data) => {
+    if (data.type === 'message_start') {
+      usage.model = data.message?.model ?? usage.model;
+      readClaudeUsage(data.message?.usage, usage);
+    } else if (data.type === 'message_delta') {
+      readClaudeUsage(data.usage, usage);
+    } else if (data.type === 'content_block_delta' && usage.firstTokenAt === null) {
+      usage.firstTokenAt = Date.now();
+    }
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      controller.enqueue(chunk);
+      buffer += decoder.decode(chunk, { stream: true });
+      if (!isStream) {
+        return;
+      }
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        try {
+          handleEvent(JSON.parse(line.slice(6)));
+        } catch (e) {
+          // 忽略无法解析的事件
+        }
+      }
+    },
+
+    flush() {
+      if (!isStream) {
+        try {
+          const body = JSON.parse(buffer);
+          usage.model = body.model ?? null;
+          readClaudeUsage(body.usage, usage);
+        } catch (e) {
+          return;
+        }
+      }
+      onUsage(usage);
+    }
+  });
+}
+
+/**
+ * 为请求计费并累加到当天的用量统计分片
+ * 同时按基准档位（usage.baselineTier）计算费用，用于统计节省的金额
+ * @param {object} entry - { keyHash, endpoint, source, model, usage }
+ */
+async function recordUsage(store, config, { keyHash, endpoint, source, model, usage }) {
+  const baseline = config.endpoints.find(item => item.name === config.usage.baselineTier) || endpoint;
+  const delta = {
+    requests: 1,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    cacheReadTokens: usage.cacheReadTokens,
+    cacheWriteTokens: usage.cacheWriteTokens,
+    cost: calculateCost(usage, getEndpointPrice(config, endpoint, model)),
+    baselineCost: calculateCost(usage, getEndpointPrice(config, baseline, model))
+  };
+  // 按"日期+密钥哈希+档位+源+模型"分片，不同客户端和目标的请求不会更新同一个键
+  const entryKey = [keyHash, endpoint.name, source.name, model || 'unknown'].join('|');
+  await store.update(`usage:${getUsageDay(Date.now())}:${entryKey}`, 'addUsage', [delta]);
+}
+
+/**
+ * 累加用量统计
+ */
+function addUsageStats(target, stats) {
+  for (const field of USAGE_FIELDS) {
+    target[field] = (target[field] || 0) + (stats[field] || 0);
+  }
+  return target;
+}
+
+/**
+ * 补充节省金额并保留 6 位小数
+ */
+function finalizeUsageStats(stats) {
+  const round = value => Math.round(value * 1e6) / 1e6;
+  return {
+    ...stats,
+    cost: round(stats.cost || 0),
+    baselineCost: round(stats.baselineCost || 0),
+    savings: round((stats.baselineCost || 0) - (stats.cost || 0))
+  };
+}
+
+// 使用内存存储时用量报告中的警告
+const MEMORY_STORE_USAGE_WARNING = 'Usage is recorded in the memory state store: it only covers this Worker instance and is lost when the instance is recycled. Configure a KV or Durable Object state store to persist usage.';
+
+// 用量报告最多查询的天数
+const USAGE_REPORT_MAX_DAYS = 92;
+
+// 已结束日期的用量汇总键前缀：第一次查询时由当天的分片汇总生成，之后的报告每天只读取一个键
+const USAGE_ROLLUP_PREFIX = 'usage-rollup:';
+
+// 日期结束后等待一段时间才汇总，确保最后的用量已经写入（KV 写入需要约 60 秒传播）
+const USAGE_ROLLUP_DELAY_MS = 3600000;
+
+/**
+ * 读取某一天的用量统计：{ '<密钥哈希|档位|源|模型>': stats }
+ * 已结束的日期读取汇总键，没有汇总时列出当天的分片并保存汇总
+ */
+async function readDailyUsage(store, day) {
+  const rollupKey = `${USAGE_ROLLUP_PREFIX}${day}`;
+  const rollup = await store.get(rollupKey);
+  if (rollup) {
+    return rollup;
+  }
+
+  const prefix = `usage:${day}:`;
+  const shards = await store.list(prefix);
+  const entries = Object.fromEntries(Object.entries(shards).map(([key, stats]) => [key.slice(prefix.length), stats]));
+  if (Date.parse(day) + 86400000 + USAGE_ROLLUP_DELAY_MS <= Date.now()) {
+    await store.put(rollupKey, entries);
+  }
+  return entries;
+}
+
+/**
+ * 生成用量报告：总计，以及按日期、密钥哈希、档位、源和模型的分组统计
+ * @param {string} from - 开始日期（YYYY-MM-DD，UTC，包含）
+ * @param {string} to - 结束日期（YYYY-MM-DD，UTC，包含）
+ */
+async function getUsageReport(store, config, from, to) {
+  const totals = {};
+  const groups = { byDay: {}, byKey: {}, byTier: {}, bySource: {}, byModel: {} };
+
+  const days = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += 86400000) {
+    days.push(getUsageDay(time));
+  }
+  const dailyUsage = await Promise.all(days.map(day => readDailyUsage(store, day)));
+
+  days.forEach((day, index) => {
+    for (const [entryKey, stats] of Object.entries(dailyUsage[index])) {
+      const [keyHash, tier, source, model] = entryKey.split('|');
+      addUsageStats(totals, stats);
+      const dimensions = { byDay: day, byKey: keyHash, byTier: tier, bySource: source, byModel: model };
+      for (const [group, value] of Object.entries(dimensions)) {
+        groups[group][value] = addUsageStats(groups[group][value] || {}, stats);
+      }
+    }
+  });
+
+  const finalizeGroup = group => Object.fromEntries(
+    Object.entries(group).map(([value, stats]) => [value, finalizeUsageStats(stats)])
+  );
+  return {
+    from,
+    to,
+    currency: 'USD',
+    baselineTier: config.usage.baselineTier,
+    // 内存存储只统计当前 Worker 实例，实例回收后数据丢失
+    warning: config.stateStore.type === 'memory' ? MEMORY_STORE_USAGE_WARNING : undefined,
+    totals: finalizeUsageStats(addUsageStats({}, totals)),
+    ...Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, finalizeGroup(group)]))
+  };
+}
+
+/**
+ * 计算当前的限额时间窗口（UTC）及各窗口的重置时间
+ */
+function getLimitWindows(now) {
+  const date = new Date(now);
+  const minute = Math.floor(now / 60000);
+  return {
+    minute,
+    day: getUsageDay(now),
+    month: getUsageDay(now).slice(0, 7),
+    minuteResetAt: (minute + 1) * 60000,
+    dayResetAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1),
+    monthResetAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+  };
+}
+
+/**
+ * 进入新的时间窗口时重置对应的计数
+ */
+function resetLimitWindows(counters, now) {
+  const windows = getLimitWindows(now);
+  const next = { requests: 0, tokens: 0, spend: 0, lastRequestId: null, ...counters };
+  if (next.minute !== windows.minute) {
+    next.minute = windows.minute;
+    next.requests = 0;
+  }
+  if (next.day !== windows.day) {
+    next.day = windows.day;
+    next.tokens = 0;
+  }
+  if (next.month !== windows.month) {
+    next.month = windows.month;
+    next.spend = 0;
+  }
+  return next;
+}
+
+// 限额类型与计数、时间窗口和响应头名称的对应关系
+const CLIENT_LIMIT_KINDS = {
+  requestsPerMinute: { counter: 'requests', resetAt: 'minuteResetAt', header: 'requests' },
+  tokensPerDay: { counter: 'tokens', resetAt: 'dayResetAt', header: 'tokens' },
+  spendPerMonth: { counter: 'spend', resetAt: 'monthResetAt', header: 'spend' }
+};
+
+/**
+ * 返回第一个已用完的限额名称，没有则返回 null
+ */
+function findExceededLimit(counters, limits) {
+  return CLIENT_LIMIT_OPTIONS.find(option => limits[option] !== null && counters[CLIENT_LIMIT_KINDS[option].counter] >= limits[option]) || null;
+}
+
+/**
+ * 获取客户端生效的限额：虚拟密钥上的限额覆盖全局限额
+ */
+function resolveClientLimits(config, clientKey) {
+  const limits = { ...config.limits };
+  for (const option of CLIENT_LIMIT_OPTIONS) {
+    if (clientKey?.limits?.[option] !== undefined && clientKey.limits[option] !== null) {
+      limits[option] = clientKey.limits[option];
+    }
+  }
+  return limits;
+}
+
+/**
+ * 是否配置了任何客户端限额
+ */
+function hasClientLimits(limits) {
+  return CLIENT_LIMIT_OPTIONS.some(option => limits[option] !== null);
+}
+
+/**
+ * 生成剩余额度响应头（与上游 anthropic-ratelimit-* 头的格式一致）
+ * x-router-ratelimit-{requests,tokens,spend}-{limit,remaining,reset}
+ */
+function createQuotaHeaders(counters, limits, now) {
+  const windows = getLimitWindows(now);
+  const headers = {};
+  for (const option of CLIENT_LIMIT_OPTIONS) {
+    if (limits[option] === null) continue;
+    const kind = CLIENT_LIMIT_KINDS[option];
+    const remaining = Math.max(0, limits[option] - (counters[kind.counter] || 0));
+    headers[`x-router-ratelimit-${kind.header}-limit`] = String(limits[option]);
+    headers[`x-router-ratelimit-${kind.header}-remaining`] = String(Math.round(remaining * 1e4) / 1e4);
+    headers[`x-router-ratelimit-${kind.header}-reset`] = new Date(windows[kind.resetAt]).toISOString();
+  }
+  return headers;
+}
+
+/**
+ * 检查客户端限额并计数
+ * @param {string} clientId - 客户端标识（虚拟密钥 ID 或客户端密钥哈希）
+ * @returns {Promise<object>} { admitted, exceeded, retryAfter, headers }
+ */
+async function checkClientLimits(store, clientId, limits) {
+  const now = Date.now();
+  const requestId = crypto.randomUUID();
+  const enforce = limits.enforcement === 'reject';
+  const counters = await store.update(`limits:${clientId}`, 'admitRequest', [now, limits, requestId, enforce]);
+
+  const admitted = counters.lastRequestId === requestId;
+  // 准入的请求已经计数，剩余次数为 0 不算超限
+  const exceeded = admitted
+    ? findExceededLimit({ ...counters, requests: counters.requests - 1 }, limits)
+    : findExceededLimit(counters, limits);
+  const retryAfter = exceeded
+    ? Math.max(1, Math.ceil((getLimitWindows(now)[CLIENT_LIMIT_KINDS[exceeded].resetAt] - now) / 1000))
+    : null;
+
+  return { admitted, exceeded, retryAfter, headers: createQuotaHeaders(counters, limits, now) };
+}
+
+/**
+ * 累加客户端的 token 用量和费用（用于每天 token 数和每月费用限额）
+ */
+async function recordClientConsumption(store, config, clientId, { endpoint, model, usage }) {
+  const tokens = usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens;
+  const cost = calculateCost(usage, getEndpointPrice(config, endpoint, model));
+  await store.update(`limits:${clientId}`, 'addConsumption', [Date.now(), tokens, cost]);
+}
+
+/**
+ * 超出客户端限额时的 429 响应（按请求格式包装，带 Retry-After 和剩余额度头）
+ */
+function createClientLimitResponse(quota, limits, format) {
+  const limit = limits[quota.exceeded];
+  const messages = {
+    requestsPerMinute: `Rate limit exceeded: ${limit} requests per minute`,
+    tokensPerDay: `Daily token quota exceeded: ${limit} tokens per day`,
+    spendPerMonth: `Monthly spend quota exceeded: $${limit} per month`
+  };
+  return new Response(JSON.stringify(createErrorBody('rate_limit_error', messages[quota.exceeded], format)), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Retry-After': String(quota.retryAfter),
+      ...quota.headers
+    }
+  });
+}
+
+/**
+ * 探测单个"端点+源"，并将结果记录到探测模型所属系列的健康状态
+ * 客户端错误（如探测密钥无效）不说明端点是否健康，只记录日志
+ * @param {string} model - 档位实际使用的探测模型（已按 modelRewrites 改写）
+ * @returns {Promise<object>} 探测结果 { endpoint, source, status, errorClass }
+ */
+async function probeEndpoint(manager, config, endpointIndex, baseUrlIndex, model) {
+  const { probe } = config;
+  const endpoint = config.endpoints[endpointIndex];
+  const source = config.sources[baseUrlIndex];
+  const result = { endpoint: endpoint.name, source: source.name };
+  // 探测只使用一个模型，结果应用到所有模型系列的健康状态（上游整体故障或恢复对所有系列都有效）
+  const families = [...MODEL_FAMILIES, OTHER_MODEL_FAMILY].map(family => manager.forModelFamily(family));
+  const forEachFamily = action => Promise.all(families.map(action));
+
+  const body = { model, messages: [{ role: 'user', content: 'ping' }] };
+  if (probe.type === 'messages') {
+    body.max_tokens = 1;
+  }
+  const headers = new Headers({
+    'content-type': 'application/json',
+    'anthropic-version': '2023-06-01'
+  });
+  if (probe.key) {
+    headers.set('x-api-key', probe.key);
+  }
+
+  const request = new Request('https://router-probe/', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(probe.timeoutMs)
+  });
+
+  try {
+    const response = await proxyRequest(request, source, endpoint, PROBE_PATHS[probe.type], { headerPolicy: config.headers });
+    const errorClass = classifyUpstreamStatus(response.status);
+    const rateLimit = parseRateLimitHeaders(response.headers);
+    const responseBody = await response.text();
+
+    if (probe.type === 'count_tokens' && COUNT_TOKENS_UNSUPPORTED_STATUSES.includes(response.status)) {
+      // 该"端点+源"没有实现 count_tokens，之后的探测和 count_tokens 请求都会跳过
+      await manager.recordCountTokensSupport(endpointIndex, baseUrlIndex, false);
+      return { ...result, status: response.status, errorClass: ERROR_CLASS.UNSUPPORTED };
+    }
+    if (errorClass === ERROR_CLASS.SUCCESS) {
+      await forEachFamily(familyManager => familyManager.recordSuccess(endpointIndex, baseUrlIndex, rateLimit));
+      if (probe.type === 'count_tokens') {
+        await manager.recordCountTokensSupport(endpointIndex, baseUrlIndex, true);
+      }
+    } else if (errorClass === ERROR_CLASS.RETRYABLE) {
+      const upstreamError = parseUpstreamError(responseBody, response.status);
+      await forEachFamily(familyManager => familyManager.recordFailure(endpointIndex, baseUrlIndex, response.status, rateLimit, upstreamError.message));
+    } else {
+      console.warn(`Probe ${endpoint.name}/${source.name} returned ${response.status}, check the probe key and model: ${responseBody.slice(0, 200)}`);
+    }
+    return { ...result, status: response.status, errorClass };
+  } catch (error) {
+    // 上游响应无法转换时与真实请求一致，不计入失败
+    if (error instanceof InvalidUpstreamResponseError) {
+      console.warn(`Probe ${endpoint.name}/${source.name} failed: ${error.message}`);
+      return { ...result, status: null, errorClass: ERROR_CLASS.INVALID_RESPONSE, error: error.message };
+    }
+    await forEachFamily(familyManager => familyManager.recordFailure(endpointIndex, baseUrlIndex, null, null, error.message));
+    return { ...result, status: null, errorClass: ERROR_CLASS.NETWORK_ERROR, error: error.message };
+  }
+}
+
+/**
+ * 定时探测所有"端点+源"（跳过管理员禁用的目标、不服务该档位的源、已知不支持 count_tokens 的目标，以及不支持探测模型或探测路径的档位），提前发现故障或解除冷却
+ * 探测不受熔断器限制：冷却中的端点探测成功会立即恢复；探测结果应用到该"端点+源"所有模型系列的熔断器
+ */
+async function runHealthProbes(env) {
+  const config = loadRouterConfig(env);
+  if (!config.probe.key && !config.sources.some(source => source.auth?.key)) {
+    console.warn('Skipping health probes: no probe key configured (set PROBE_API_KEY or ROUTER_CONFIG.probe.keyEnv)');
+    return [];
+  }
+
+  const store = createStateStore(env, config);
+  const manager = new EndpointHealthManager(config, store);
+  const overrides = await manager.loadOverrides();
+
+  const probes = [];
+  for (let endpointIndex = 0; endpointIndex < config.endpoints.length; endpointIndex++) {
+    const endpoint = config.endpoints[endpointIndex];
+    const model = resolveEndpointModel(endpoint, config.probe.model);
+    if (!model || !PROVIDER_ADAPTERS[endpoint.provider].supportsPath(PROBE_PATHS[config.probe.type])) {
+      continue;
+    }
+    for (let baseUrlIndex = 0; baseUrlIndex < config.sources.length; baseUrlIndex++) {
+      const { tiers } = config.sources[baseUrlIndex];
+      if (overrides.disabled[manager.getTargetName(endpointIndex, baseUrlIndex)] || (tiers && !tiers.includes(endpoint.name))) {
+        continue;
+      }
+      // 已知不支持 count_tokens 的目标无法用 count_tokens 探测
+      if (config.probe.type === 'count_tokens' && (await manager.getCountTokensSupport(endpointIndex, baseUrlIndex)) === false) {
+        continue;
+      }
+      // 没有探测密钥时，只探测配置了固定密钥的源
+      if (!config.probe.key && !config.sources[baseUrlIndex].auth?.key) {
+        continue;
+      }
+      probes.push(probeEndpoint(manager, config, endpointIndex, baseUrlIndex, model));
+    }
+  }
+
+  const results = await Promise.all(probes);
+  console.log(`Health probes: ${summarizeAttempts(results)}`);
+  return results;
+}
+
+// 管理接口路径前缀
+const ADMIN_PATH_PREFIX = '/_router/';
+
+// 管理接口支持的操作：/_router/endpoints/:tier/:source/:action
+const ADMIN_ENDPOINT_ACTIONS = ['disable', 'enable', 'reset', 'pin', 'unpin'];
+
+/**
+ * 构造 JSON 响应
+ */
+function createJsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+/**
+ * 常量时间比较字符串（避免通过响应时间猜测管理密钥）
+ */
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % (right.length || 1)] ?? 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 校验管理密钥（Authorization: Bearer <ADMIN_SECRET> 或 X-Admin-Secret 头）
+ */
+function isAdminAuthorized(request, env) {
+  const authorization = request.headers.get('authorization') || '';
+  const provided = request.headers.get('x-admin-secret') || authorization.replace(/^Bearer\s+/i, '');
+  return Boolean(provided) && timingSafeEqual(provided, env.ADMIN_SECRET);
+}
+
+/**
+ * 将毫秒时间戳格式化为 ISO 字符串（0 或空值返回 null）
+ */
+function formatTimestamp(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * 汇总所有"端点+源"的健康状态（按模型系列）和手动覆盖
+ * 各目标的存储读取并发进行，避免逐个等待远程存储
+ */
+async function getRouterStatus(manager, config) {
+  const overrides = await manager.loadOverrides();
+  const families = [...MODEL_FAMILIES, OTHER_MODEL_FAMILY].map(family => manager.forModelFamily(family));
+  const now = Date.now();
+
+  const getFamilyStatus = async (familyManager, endpointIndex, baseUrlIndex) => {
+    const [health, stats, available] = await Promise.all([
+      familyManager.getHealth(endpointIndex, baseUrlIndex),
+      familyManager.getStats(endpointIndex, baseUrlIndex),
+      familyManager.isAvailable(endpointIndex, baseUrlIndex)
+    ]);
+    const coolingDown = health.state === CIRCUIT_STATE.OPEN && now < health.openUntil;
+    return {
+      available,
+      state: health.state,
+      failures: health.failures,
+      openCount: health.openCount,
+      cooldownRemaining: coolingDown ? Math.ceil((health.openUntil - now) / 1000) : 0,
+      openUntil: coolingDown ? formatTimestamp(health.openUntil) : null,
+      lastFailTime: formatTimestamp(health.lastFailTime),
+      lastError: health.lastError
+        ? { ...health.lastError, at: formatTimestamp(health.lastError.at) }
+        : null,
+      tokenBudget: health.tokenBudget
+        ? { remaining: health.tokenBudget.remaining, resetAt: formatTimestamp(health.tokenBudget.resetAt) }
+        : null,
+      stats: {
+        latencyMs: stats.latencyMs === null ? null : Math.round(stats.latencyMs),
+        ttftMs: stats.ttftMs === null ? null : Math.round(stats.ttftMs),
+        successRate: stats.successRate === null ? null : Math.round(stats.successRate * 1000) / 1000,
+        samples: stats.samples,
+        updatedAt: formatTimestamp(stats.updatedAt)
+      }
+    };
+  };
+
+  const getSourceStatus = async (endpointIndex, baseUrlIndex) => {
+    const [countTokens, ...familyStatuses] = await Promise.all([
+      manager.getCountTokensSupport(endpointIndex, baseUrlIndex),
+      ...families.map(familyManager => getFamilyStatus(familyManager, endpointIndex, baseUrlIndex))
+    ]);
+    return {
+      source: config.sources[baseUrlIndex].name,
+      disabled: overrides.disabled[manager.getTargetName(endpointIndex, baseUrlIndex)] || null,
+      countTokens,
+      models: Object.fromEntries(families.map((familyManager, index) => [familyManager.modelFamily, familyStatuses[index]]))
+    };
+  };
+
+  const endpoints = await Promise.all(config.endpoints.map(async (endpoint, endpointIndex) => {
+    // 不服务该档位的源不展示
+    const baseUrlIndexes = [...config.sources.keys()].filter(baseUrlIndex => {
+      const { tiers } = config.sources[baseUrlIndex];
+      return !tiers || tiers.includes(endpoint.name);
+    });
+    return {
+      name: endpoint.name,
+      path: endpoint.path,
+      price: endpoint.price,
+      provider: endpoint.provider,
+      models: endpoint.models,
+      modelRewrites: endpoint.modelRewrites,
+      sources: await Promise.all(baseUrlIndexes.map(baseUrlIndex => getSourceStatus(endpointIndex, baseUrlIndex)))
+    };
+  }));
+
+  return {
+    time: new Date(now).toISOString(),
+    stateStore: config.stateStore.type,
+    selection: config.selection.policy,
+    pin: overrides.pin,
+    endpoints
+  };
+}
+
+/**
+ * 返回生效的路由配置（隐藏源的认证密钥）
+ */
+function redactRouterConfig(config) {
+  return {
+    ...config,
+    probe: { ...config.probe, key: config.probe.key ? '[redacted]' : null },
+    sources: config.sources.map(source => ({
+      ...source,
+      auth: source.auth ? { ...source.auth, key: source.auth.key ? '[redacted]' : null } : null
+    }))
+  };
+}
+
+/**
+ * 读取客户端凭据（x-api-key 或 Authorization: Bearer）
+ */
+function readClientCredential(headers) {
+  const authorization = headers.get('authorization') || '';
+  return headers.get('x-api-key') || authorization.replace(/^Bearer\s+/i, '') || null;
+}
+
+/**
+ * 移除携带 ADMIN_SECRET 的认证头（客户端误把管理密钥当作 API 凭据时，不把它转发给上游）
+ */
+function stripAdminCredential(request, env) {
+  const headers = new Headers(request.headers);
+  let stripped = false;
+  for (const name of ['x-api-key', 'authorization']) {
+    const value = (headers.get(name) || '').replace(/^Bearer\s+/i, '');
+    if (value && timingSafeEqual(value, env.ADMIN_SECRET)) {
+      headers.delete(name);
+      stripped = true;
+    }
+  }
+  return stripped ? new Request(request, { headers }) : request;
+}
+
+/**
+ * 将 Gemini 客户端的密钥（x-goog-api-key 头或 key 查询参数）改写为 x-api-key 头
+ * 并移除 Gemini 专用的查询参数，避免转发给上游
+ */
+function normalizeGeminiRequest(request) {
+  const url = new URL(request.url);
+  const headers = new Headers(request.headers);
+  const key = headers.get('x-goog-api-key') || url.searchParams.get('key');
+  if (key && !readClientCredential(headers)) {
+    headers.set('x-api-key', key);
+  }
+  headers.delete('x-goog-api-key');
+  url.searchParams.delete('key');
+  url.searchParams.delete('alt');
+
+  return new Request(url.toString(), {
+    method: request.method,
+    headers,
+    body: request.body
+  });
+}
+
+/**
+ * 计算字符串的 SHA-256 十六进制哈希
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 虚拟密钥前缀
+const VIRTUAL_KEY_PREFIX = 'sk-router-';
+
+// 虚拟密钥索引的存储键（密钥 ID -> 密钥哈希），密钥本身保存在 vkey:<哈希> 键中，不保存原始密钥
+const VIRTUAL_KEY_INDEX_KEY = 'vkeys';
+
+/**
+ * 生成新的虚拟密钥（sk-router- 加 32 字节随机数的 base64url 编码）
+ */
+function generateVirtualKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const encoded = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${VIRTUAL_KEY_PREFIX}${encoded}`;
+}
+
+/**
+ * 校验创建虚拟密钥的请求，返回 { record, errors }
+ * body: {
+ *   label: '张三',
+ *   expiresAt: '2026-12-31T00:00:00Z' 或 expiresIn: 86400（秒），
+ *   allowedTiers: ['droid', 'aws'],
+ *   allowedModels: ['claude-sonnet-4*'],
+ *   upstreamKeys: { newcli: ['NEWCLI_KEY_1', 'NEWCLI_KEY_2'], 'dm-fox': 'DMFOX_KEY' },  // 上游密钥所在的 Secret 名称
+ *   limits: { requestsPerMinute: 30, tokensPerDay: 2000000, spendPerMonth: 50 }  // 覆盖全局限额
+ * }
+ */
+function normalizeVirtualKeyRequest(body, config, env) {
+  const errors = [];
+  if (!body || typeof body !== 'object') {
+    return { record: null, errors: ['request body must be a JSON object'] };
+  }
+
+  if (typeof body.label !== 'string' || !body.label.trim()) {
+    errors.push('label must be a non-empty string');
+  }
+
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    expiresAt = Date.parse(body.expiresAt);
+    if (Number.isNaN(expiresAt)) {
+      errors.push('expiresAt must be an ISO date');
+    }
+  } else if (body.expiresIn !== undefined && body.expiresIn !== null) {
+    if (typeof body.expiresIn !== 'number' || !(body.expiresIn > 0)) {
+      errors.push('expiresIn must be a positive number of seconds');
+    } else {
+      expiresAt = Date.now() + body.expiresIn * 1000;
+    }
+  }
+
+  let allowedTiers = null;
+  if (body.allowedTiers !== undefined && body.allowedTiers !== null) {
+    if (!Array.isArray(body.allowedTiers) || body.allowedTiers.length === 0) {
+      errors.push('allowedTiers must be a non-empty array of tier names');
+    } else {
+      for (const tier of body.allowedTiers) {
+        if (!config.endpoints.some(endpoint => endpoint.name === tier)) {
+          errors.push(`allowedTiers: unknown tier "${tier}"`);
+        }
+      }
+      allowedTiers = body.allowedTiers;
+    }
+  }
+
+  let allowedModels = null;
+  if (body.allowedModels !== undefined && body.allowedModels !== null) {
+    if (!Array.isArray(body.allowedModels) || body.allowedModels.length === 0 || body.allowedModels.some(pattern => typeof pattern !== 'string' || !pattern)) {
+      errors.push('allowedModels must be a non-empty array of model patterns');
+    } else {
+      allowedModels = body.allowedModels;
+    }
+  }
+
+  const upstreamKeys = {};
+  if (body.upstreamKeys !== undefined && (!body.upstreamKeys || typeof body.upstreamKeys !== 'object')) {
+    errors.push('upstreamKeys must map source names to secret names');
+  } else {
+    for (const [sourceName, names] of Object.entries(body.upstreamKeys || {})) {
+      if (!config.sources.some(source => source.name === sourceName)) {
+        errors.push(`upstreamKeys: unknown source "${sourceName}"`);
+        continue;
+      }
+      const list = Array.isArray(names) ? names : [names];
+      if (list.length === 0 || list.some(name => typeof name !== 'string' || !env?.[name])) {
+        errors.push(`upstreamKeys.${sourceName} must name secrets that are set`);
+        continue;
+      }
+      upstreamKeys[sourceName] = list;
+    }
+  }
+  // 没有映射上游密钥的源只能使用源自身配置的固定密钥
+  const usable = config.sources.some(source => upstreamKeys[source.name] || source.auth?.key);
+  if (errors.length === 0 && !usable) {
+    errors.push('upstreamKeys must map at least one source (or a source must have a fixed auth key)');
+  }
+
+  const limits = body.limits !== undefined && body.limits !== null
+    ? normalizeClientLimits(body.limits, 'limits', errors)
+    : null;
+
+  return {
+    record: { label: body.label?.trim(), expiresAt, allowedTiers, allowedModels, upstreamKeys, limits },
+    errors
+  };
+}
+
+/**
+ * 返回虚拟密钥的公开信息（不含密钥和哈希）
+ */
+function formatVirtualKey(record, now = Date.now()) {
+  let status = 'active';
+  if (record.revokedAt) {
+    status = 'revoked';
+  } else if (record.expiresAt && record.expiresAt <= now) {
+    status = 'expired';
+  }
+  return {
+    id: record.id,
+    label: record.label,
+    status,
+    createdAt: formatTimestamp(record.createdAt),
+    expiresAt: formatTimestamp(record.expiresAt),
+    revokedAt: formatTimestamp(record.revokedAt),
+    allowedTiers: record.allowedTiers,
+    allowedModels: record.allowedModels,
+    upstreamKeys: record.upstreamKeys,
+    limits: record.limits ?? null
+  };
+}
+
+/**
+ * 校验客户端的虚拟密钥，并解析映射的上游密钥
+ * @returns {Promise<object>} { key: { id, label, allowedTiers, allowedModels, upstreamKeys, limits } } 或 { error }
+ */
+async function authenticateVirtualKey(headers, store, env) {
+  const credential = readClientCredential(headers);
+  if (!credential || !credential.startsWith(VIRTUAL_KEY_PREFIX)) {
+    return { error: 'Missing or invalid API key' };
+  }
+
+  const record = await store.get(`vkey:${await sha256Hex(credential)}`);
+  if (!record) {
+    return { error: 'Invalid API key' };
+  }
+  if (record.revokedAt) {
+    return { error: 'API key has been revoked' };
+  }
+  if (record.expiresAt && record.expiresAt <= Date.now()) {
+    return { error: 'API key has expired' };
+  }
+
+  const upstreamKeys = {};
+  for (const [sourceName, names] of Object.entries(record.upstreamKeys || {})) {
+    upstreamKeys[sourceName] = names.map(name => env?.[name]).filter(Boolean);
+  }
+  return {
+    key: {
+      id: record.id,
+      label: record.label,
+      allowedTiers: record.allowedTiers,
+      allowedModels: record.allowedModels,
+      upstreamKeys,
+      limits: record.limits ?? null
+    }
+  };
+}
+
+/**
+ * 为虚拟密钥选择一个上游密钥（配置了多个时随机选择）
+ */
+function pickUpstreamKey(clientKey, source) {
+  const keys = clientKey?.upstreamKeys[source.name];
+  if (!keys || keys.length === 0) {
+    return null;
+  }
+  return keys[Math.floor(Math.random() * keys.length)];
+}
+
+/**
+ * 虚拟密钥的路由限制：只允许使用允许的档位，以及映射了上游密钥（或源自身有固定密钥）的源
+ */
+function createVirtualKeyRouteFilter(clientKey, config) {
+  return (endpointIndex, baseUrlIndex) => {
+    const endpoint = config.endpoints[endpointIndex];
+    const source = config.sources[baseUrlIndex];
+    if (clientKey.allowedTiers && !clientKey.allowedTiers.includes(endpoint.name)) {
+      return false;
+    }
+    return Boolean(source.auth?.key || clientKey.upstreamKeys[source.name]?.length);
+  };
+}
+
+/**
+ * 处理虚拟密钥管理请求
+ * - GET  /_router/keys              列出所有虚拟密钥
+ * - POST /_router/keys              创建虚拟密钥，返回的 key 只显示这一次
+ * - POST /_router/keys/:id/revoke   吊销虚拟密钥
+ */
+async function handleVirtualKeyRequest(request, env, store, config, segments) {
+  if (segments.length === 0 && request.method === 'GET') {
+    const index = (await store.get(VIRTUAL_KEY_INDEX_KEY)) || {};
+    const keys = [];
+    for (const hash of Object.values(index)) {
+      const record = await store.get(`vkey:${hash}`);
+      if (record) {
+        keys.push(formatVirtualKey(record));
+      }
+    }
+    return createJsonResponse({ keys });
+  }
+
+  if (segments.length === 0 && request.method === 'POST') {
+    let body = null;
+    try {
+      body = await request.json();
+    } catch (e) {
+      // 交给 normalizeVirtualKeyRequest 报错
+    }
+    const { record, errors } = normalizeVirtualKeyRequest(body, config, env);
+    if (errors.length > 0) {
+      return createJsonResponse(createErrorBody('invalid_request_error', errors.join('; '), 'claude'), 400);
+    }
+
+    const key = generateVirtualKey();
+    const hash = await sha256Hex(key);
+    const stored = { ...record, id: hash.slice(0, 12), createdAt: Date.now(), revokedAt: null };
+    await store.put(`vkey:${hash}`, stored);
+    await store.update(VIRTUAL_KEY_INDEX_KEY, 'indexVirtualKey', [stored.id, hash]);
+
+    console.log(`Admin created virtual key ${stored.id} (${stored.label})`);
+    return createJsonResponse({ key, ...formatVirtualKey(stored) }, 201);
+  }
+
+  if (segments.length === 2 && segments[1] === 'revoke') {
+    if (request.method !== 'POST') {
+      return createJsonResponse(createErrorBody('invalid_request_error', `Method ${request.method} not allowed`, 'claude'), 405);
+    }
+    const hash = ((await store.get(VIRTUAL_KEY_INDEX_KEY)) || {})[segments[0]];
+    if (!hash) {
+      return createJsonResponse(createErrorBody('not_found_error', `Unknown key "${segments[0]}"`, 'claude'), 404);
+    }
+    const record = await store.update(`vkey:${hash}`, 'revokeVirtualKey', [Date.now()]);
+
+    console.log(`Admin revoked virtual key ${segments[0]}`);
+    return createJsonResponse(formatVirtualKey(record));
+  }
+
+  if (segments.length === 0) {
+    return createJsonResponse(createErrorBody('invalid_request_error', `Method ${request.method} not allowed`, 'claude'), 405);
+  }
+  return createJsonResponse(createErrorBody('not_found_error', 'Unknown admin route', 'claude'), 404);
+}
+
+/**
+ * 处理用量报告请求：?from=YYYY-MM-DD&to=YYYY-MM-DD（UTC，默认最近 7 天）
+ */
+async function handleUsageReportRequest(request, store, config) {
+  const params = new URL(request.url).searchParams;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+  const to = params.get('to') || getUsageDay(Date.now());
+  const from = params.get('from') || (isDate(to) ? getUsageDay(Date.parse(to) - 6 * 86400000) : to);
+  if (!isDate(from) || !isDate(to)) {
+    return createJsonResponse(createErrorBody('invalid_request_error', 'from and to must be dates in YYYY-MM-DD format', 'claude'), 400);
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1 || days > USAGE_REPORT_MAX_DAYS) {
+    return createJsonResponse(createErrorBody('invalid_request_error', `Date range must cover 1 to ${USAGE_REPORT_MAX_DAYS} days`, 'claude'), 400);
+  }
+
+  return createJsonResponse(await getUsageReport(store, config, from, to));
+}
+
+/**
+ * 处理管理接口请求（需要配置 ADMIN_SECRET）
+ * - GET  /_router/status                                 端点健康状态（按模型系列）、最近错误和手动覆盖
+ * - GET  /_router/config                                 生效的路由配置
+ * - GET  /_router/usage?from=&to=                        用量和费用报告（按日期、密钥、档位、源和模型）
+ * - GET / POST /_router/keys, POST /_router/keys/:id/revoke  虚拟密钥管理（见 handleVirtualKeyRequest）
+ * - POST /_router/endpoints/:tier/:source/disable        禁用（排空）"端点+源"，source 为 * 表示该档位所有源
+ * - POST /_router/endpoints/:tier/:source/enable         取消禁用
+ * - POST /_router/endpoints/:tier/:source/reset          重置所有模型系列的熔断器和失败记录
+ * - POST /_router/endpoints/:tier/:source/pin            所有请求只使用该档位（和源）
+ * - POST /_router/endpoints/:tier/:source/unpin          取消固定
+ * disable 和 pin 可以在 JSON 请求体中附带 { "reason": "..." }
+ */
+async function handleAdminRequest(request, env, config) {
+  if (!env.ADMIN_SECRET) {
+    return createJsonResponse(createErrorBody('not_found_error', 'Admin API is disabled (ADMIN_SECRET is not set)', 'claude'), 404);
+  }
+  if (!isAdminAuthorized(request, env)) {
+    return createJsonResponse(createErrorBody('authentication_error', 'Invalid admin secret', 'claude'), 401);
+  }
+
+  const segments = new URL(request.url).pathname.slice(ADMIN_PATH_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent);
+  const manager = new EndpointHealthManager(config, createStateStore(env, config));
+
+  if (segments[0] === 'keys') {
+    return await handleVirtualKeyRequest(request, env, manager.store, config, segments.slice(1));
+  }
+
+  if (segments.length === 1 && ['status', 'config', 'usage'].includes(segments[0])) {
+    if (request.method !== 'GET') {
+      return createJsonResponse(createErrorBody('invalid_request_error', `Method ${request.method} not allowed`, 'claude'), 405);
+    }
+    if (segments[0] === 'usage') {
+      return await handleUsageReportRequest(request, manager.store, config);
+    }
+    return createJsonResponse(segments[0] === 'status' ? await getRouterStatus(manager, config) : redactRouterConfig(config));
+  }
+
+  if (segments.length !== 4 || segments[0] !== 'endpoints' || !ADMIN_ENDPOINT_ACTIONS.includes(segments[3])) {
+    return createJsonResponse(createErrorBody('not_found_error', 'Unknown admin route', 'claude'), 404);
+  }
+  if (request.method !== 'POST') {
+    return createJsonResponse(createErrorBody('invalid_request_error', `Method ${request.method} not allowed`, 'claude'), 405);
+  }
+
+  const [, tier, sourceName, action] = segments;
+  const endpointIndex = config.endpoints.findIndex(endpoint => endpoint.name === tier);
+  if (endpointIndex === -1) {
+    return createJsonResponse(createErrorBody('not_found_error', `Unknown tier "${tier}"`, 'claude'), 404);
+  }
+  const allSources = sourceName === '*';
+  const sourceIndexes = allSources
+    ? [...config.sources.keys()]
+    : [config.sources.findIndex(source => source.name === sourceName)];
+  if (sourceIndexes[0] === -1) {
+    return createJsonResponse(createErrorBody('not_found_error', `Unknown source "${sourceName}"`, 'claude'), 404);
+  }
+
+  let reason = null;
+  try {
+    reason = (await request.json())?.reason ?? null;
+  } catch (e) {
+    // 请求体为空或不是 JSON，不附带原因
+  }
+  const now = Date.now();
+
+  for (const baseUrlIndex of sourceIndexes) {
+    const target = manager.getTargetName(endpointIndex, baseUrlIndex);
+    if (action === 'disable') {
+      await manager.store.update(OVERRIDES_KEY, 'setDisabled', [target, { reason, at: formatTimestamp(now) }]);
+    } else if (action === 'enable') {
+      await manager.store.update(OVERRIDES_KEY, 'setDisabled', [target, null]);
+    } else if (action === 'reset') {
+      // 重置所有模型系列的健康状态和滚动统计，以及 count_tokens 支持情况
+      for (const family of [...MODEL_FAMILIES, OTHER_MODEL_FAMILY]) {
+        const familyManager = manager.forModelFamily(family);
+        await manager.store.delete(familyManager.getHealthKey(endpointIndex, baseUrlIndex));
+        await manager.store.delete(familyManager.getStatsKey(endpointIndex, baseUrlIndex));
+      }
+      await manager.store.delete(manager.getCountTokensKey(endpointIndex, baseUrlIndex));
+    }
+  }
+  if (action === 'pin') {
+    await manager.store.update(OVERRIDES_KEY, 'setPin', [{
+      endpoint: tier,
+      source: allSources ? null : sourceName,
+      reason,
+      at: formatTimestamp(now)
+    }]);
+  } else if (action === 'unpin') {
+    await manager.store.update(OVERRIDES_KEY, 'setPin', [null]);
+  }
+
+  console.log(`Admin ${action}: ${tier}/${sourceName}${reason ? ` (${reason})` : ''}`);
+  return createJsonResponse(await getRouterStatus(manager, config));
+}
+
+// Cache API 中响应缓存条目使用的 URL 前缀（不会被实际请求）
+const RESPONSE_CACHE_URL = 'https://response-cache.cc-router.internal/';
+
+// KV 中响应缓存条目的键前缀
+const RESPONSE_CACHE_KV_PREFIX = 'cache:';
+
+/**
+ * 递归按键名排序对象，使内容相同的请求体序列化结果一致
+ */
+function canonicalizeJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalizeJson);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalizeJson(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * 计算响应缓存键，请求不可缓存时返回 null
+ * 只缓存确定性的（temperature 为 0）非流式消息请求；
+ * 键包含客户端凭据（不同密钥互相隔离）、优先端点、anthropic-version 和 anthropic-beta 头（beta 特性排序去重）和规范化后的请求体（忽略 metadata）
+ */
+async function getResponseCacheKey(request, apiPath, preferredEndpoint) {
+  if (request.method !== 'POST' || apiPath !== '/v1/messages') {
+    return null;
+  }
+  let body;
+  try {
+    body = await request.clone().json();
+  } catch (error) {
+    return null;
+  }
+  if (!body || typeof body !== 'object' || body.stream || body.temperature !== 0) {
+    return null;
+  }
+  const { stream, metadata, ...content } = body;
+  const betas = [...new Set((request.headers.get('anthropic-beta') || '').split(',').map(item => item.trim()).filter(Boolean))].sort();
+  return await sha256Hex(JSON.stringify([
+    readClientCredential(request.headers),
+    preferredEndpoint,
+    request.headers.get('anthropic-version'),
+    betas,
+    canonicalizeJson(content)
+  ]));
+}
+
+/**
+ * 读取响应缓存条目，未命中或读取失败时返回 null
+ * @returns {Promise<object|null>} { body, contentType, tier, source, upstreamModel, requestModel, cachedAt }
+ */
+async function readResponseCache(config, env, key) {
+  try {
+    if (config.cache.store === 'kv') {
+      return await env[config.cache.binding].get(`${RESPONSE_CACHE_KV_PREFIX}${key}`, 'json');
     }
-  };
+    const cached = await caches.default.match(`${RESPONSE_CACHE_URL}${key}`);
+    return cached ? await cached.json() : null;
+  } catch (error) {
+    console.error('Failed to read response cache:', error.message);
+    return null;
+  }
 }
 
 /**
- * 生成 OpenAI 模型列表响应
+ * 写入响应缓存条目（cache.ttl 秒后过期）
  */
-function getOpenAIModelsResponse() {
-  const models = [
-    'claude-sonnet-4-5-20250929',
-    'claude-haiku-4-5-20251001',
-    'claude-opus-4-5-20251101'
-  ];
+async function writeResponseCache(config, env, key, entry) {
+  const value = JSON.stringify(entry);
+  if (config.cache.store === 'kv') {
+    await env[config.cache.binding].put(`${RESPONSE_CACHE_KV_PREFIX}${key}`, value, { expirationTtl: config.cache.ttl });
+    return;
+  }
+  await caches.default.put(`${RESPONSE_CACHE_URL}${key}`, new Response(value, {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${config.cache.ttl}` }
+  }));
+}
 
+/**
+ * 将缓存条目还原为 tryEndpoints 的结果格式，档位或源已不在配置中时返回 null（按未命中处理）
+ */
+function createCachedResult(entry, config) {
+  const endpointIndex = config.endpoints.findIndex(endpoint => endpoint.name === entry.tier);
+  const baseUrlIndex = config.sources.findIndex(source => source.name === entry.source);
+  if (endpointIndex === -1 || baseUrlIndex === -1) {
+    return null;
+  }
   return {
-    object: 'list',
-    data: models.map(id => ({
-      id,
-      object: 'model',
-      created: Math.floor(Date.now() / 1000),
-      owned_by: 'anthropic'
-    }))
+    response: new Response(entry.body, { status: 200, headers: { 'Content-Type': entry.contentType } }),
+    endpointIndex,
+    baseUrlIndex,
+    success: true,
+    cached: true,
+    attempts: [],
+    upstreamModel: entry.upstreamModel,
+    requestModel: entry.requestModel
   };
 }
 
+// Prometheus 指标路由（需要 ADMIN_SECRET）
+const METRICS_PATH = '/metrics';
+
+// 请求日志中的入口格式对应的 format 标签
+const METRIC_FORMAT_LABELS = {
+  claude: 'anthropic',
+  openai: 'openai',
+  'openai-responses': 'openai_responses',
+  gemini: 'gemini'
+};
+
+// token 计数器的 type 标签对应的 usage 字段
+const METRIC_TOKEN_TYPES = {
+  input: 'inputTokens',
+  output: 'outputTokens',
+  cache_read: 'cacheReadTokens',
+  cache_write: 'cacheWriteTokens'
+};
+
+// 存储的指标键（以 | 连接的标签值）对应的标签名
+const METRIC_LABELS = {
+  requests: ['format', 'tier', 'source', 'status_class'],
+  failovers: ['tier', 'source', 'error_class'],
+  tokens: ['tier', 'source', 'model', 'type'],
+  latency: ['tier', 'source']
+};
+
 /**
- * 解析请求路径，提取端点信息
- * 返回 { preferredEndpoint: string|null, apiPath: string, isOpenAI: boolean, isModels: boolean }
+ * 根据请求日志条目计算本次请求的指标增量
+ * 失败后切换目标的次数按尝试统计（客户端错误不会切换，不计入）；
+ * 延迟只统计收到响应头或超时的尝试，网络错误和无法转换的请求没有有效的上游延迟
  */
-function parseRequestPath(url) {
-  const pathname = new URL(url).pathname;
-
-  // 检查是否是 OpenAI Models 路径
-  if (pathname === '/v1/models' || pathname.endsWith('/v1/models')) {
-    return {
-      preferredEndpoint: null,
-      apiPath: '/v1/models',
-      isOpenAI: true,
-      isModels: true
-    };
-  }
+function createMetricsDelta(entry) {
+  const tier = entry.tier ?? 'none';
+  const source = entry.source ?? 'none';
+  const statusClass = `${Math.floor(entry.status / 100)}xx`;
+  const delta = {
+    requests: { [[METRIC_FORMAT_LABELS[entry.format], tier, source, statusClass].join('|')]: 1 },
+    failovers: {},
+    tokens: {},
+    latency: {}
+  };
 
-  // 检查是否是 OpenAI Chat Completions 路径
-  if (pathname === '/v1/chat/completions' || pathname.endsWith('/v1/chat/completions')) {
-    // 检查是否指定了端点
-    for (const endpoint of ENDPOINTS) {
-      if (pathname.startsWith(endpoint + '/')) {
-        return {
-          preferredEndpoint: endpoint,
-          apiPath: '/v1/messages',
-          isOpenAI: true,
-          isModels: false
-        };
+  for (const attempt of entry.attempts || []) {
+    const target = `${attempt.endpoint}|${attempt.source}`;
+    if (attempt.errorClass !== ERROR_CLASS.SUCCESS && attempt.errorClass !== ERROR_CLASS.CLIENT_ERROR) {
+      const key = `${target}|${attempt.errorClass}`;
+      delta.failovers[key] = (delta.failovers[key] || 0) + 1;
+    }
+    if (attempt.status !== null || attempt.errorClass === ERROR_CLASS.TIMEOUT) {
+      const sample = delta.latency[target] ||= { buckets: METRICS_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      const seconds = attempt.latencyMs / 1000;
+      const bucket = METRICS_LATENCY_BUCKETS.findIndex(le => seconds <= le);
+      if (bucket !== -1) {
+        sample.buckets[bucket]++;
       }
+      sample.sum += seconds;
+      sample.count++;
     }
-    return {
-      preferredEndpoint: null,
-      apiPath: '/v1/messages',
-      isOpenAI: true,
-      isModels: false
-    };
   }
 
-  // 检查是否匹配端点路径
-  for (const endpoint of ENDPOINTS) {
-    if (pathname.startsWith(endpoint + '/') || pathname === endpoint) {
-      // 提取端点后的 API 路径
-      const apiPath = pathname.slice(endpoint.length) || '/';
-      return { preferredEndpoint: endpoint, apiPath, isOpenAI: false, isModels: false };
+  if (entry.usage) {
+    const model = entry.upstreamModel || entry.model || 'unknown';
+    for (const [type, field] of Object.entries(METRIC_TOKEN_TYPES)) {
+      if (entry.usage[field] > 0) {
+        delta.tokens[[tier, source, model, type].join('|')] = entry.usage[field];
+      }
     }
   }
-
-  // 没有匹配到特定端点，使用默认路由
-  return { preferredEndpoint: null, apiPath: pathname, isOpenAI: false, isModels: false };
+  return delta;
 }
 
 /**
- * 代理请求到指定端点
- * @param {Request} request - 原始请求
- * @param {number} baseUrlIndex - 基础 URL 索引
- * @param {string} endpointPath - 端点路径
- * @param {string} apiPath - API 路径
+ * 计数器和直方图是否在所有实例间共享
+ * 只有 Durable Object 存储的更新是原子且全局一致的；KV 存储的并发更新会互相覆盖，不满足计数器单调递增的要求，
+ * 因此其他存储在每个实例的内存中单独计数，以 instance 标签区分
  */
-async function proxyRequest(request, baseUrlIndex, endpointPath, apiPath) {
-  const url = new URL(request.url);
-  const targetUrl = `${TARGET_BASE_URLS[baseUrlIndex]}${endpointPath}${apiPath}${url.search}`;
-
-  const headers = new Headers(request.headers);
+function sharesMetricCounters(config) {
+  return config.stateStore.type === 'durable_object';
+}
 
-  const proxyRequest = new Request(targetUrl, {
-    method: request.method,
-    headers: headers,
-    body: request.body,
-    redirect: 'follow'
-  });
+// 当前实例的计数器（不使用 Durable Object 存储时）
+const instanceMetrics = { id: null, metrics: {} };
 
-  return await fetch(proxyRequest);
+/**
+ * 当前实例的 instance 标签（Workers 不允许在全局作用域生成随机数，第一次使用时生成）
+ */
+function getMetricsInstanceId() {
+  instanceMetrics.id ??= crypto.randomUUID().slice(0, 8);
+  return instanceMetrics.id;
 }
 
 /**
- * 尝试所有端点，直到成功或全部失败
- * 如果指定了 preferredEndpoint，优先使用该端点，失败后从该位置往后尝试
- * 否则按价格从低到高尝试
- * 对于每个端点，会先尝试主源，失败后尝试备源，两个源都失败才切换到下一个端点
+ * 按"档位+源"拆分指标增量（所有指标键都以档位和源开头）
  */
-async function tryEndpoints(request, manager, apiPath, preferredEndpoint = null) {
-  const requestBody = await request.clone().arrayBuffer();
-  const requestHeaders = new Headers(request.headers);  // 保存请求头
-  const triedEndpoints = new Set();  // 记录已尝试的端点（不含源信息）
-
-  // 如果指定了优先端点，确定起始位置
-  let startIndex = 0;
-  if (preferredEndpoint) {
-    const preferredIndex = ENDPOINTS.indexOf(preferredEndpoint);
-    if (preferredIndex !== -1) {
-      startIndex = preferredIndex;
+function splitMetricsDelta(delta) {
+  const shards = {};
+  for (const series of [...METRIC_COUNTER_SERIES, 'latency']) {
+    for (const [key, value] of Object.entries(delta[series])) {
+      const { tier, source } = parseMetricKey(series, key);
+      const shard = shards[`${tier}|${source}`] ||= { requests: {}, failovers: {}, tokens: {}, latency: {} };
+      shard[series][key] = value;
     }
   }
+  return shards;
+}
 
-  // 按优先级顺序尝试所有端点
-  for (let attempt = 0; attempt < ENDPOINTS.length; attempt++) {
-    let currentIndex = -1;
+/**
+ * 累加一个请求的指标：Durable Object 存储按"档位+源"分片累加，其他存储累加到当前实例
+ * @param {object} entry - 请求日志条目（见 completeRequest）
+ */
+async function recordRequestMetrics(store, config, entry) {
+  const delta = createMetricsDelta(entry);
+  if (!sharesMetricCounters(config)) {
+    instanceMetrics.metrics = STATE_TRANSITIONS.addMetrics(instanceMetrics.metrics, delta);
+    return;
+  }
+  await Promise.all(Object.entries(splitMetricsDelta(delta)).map(([target, shard]) => (
+    store.update(`${METRICS_KEY_PREFIX}${target}`, 'addMetrics', [shard])
+  )));
+}
 
-    // 从起始位置开始，按顺序查找下一个可用端点（至少一个源可用）
-    for (let i = startIndex; i < ENDPOINTS.length; i++) {
-      if (triedEndpoints.has(i)) continue;
+/**
+ * 读取计数器和直方图：{ metrics, labels: 附加到每个样本的标签 }
+ */
+async function loadMetricCounters(store, config) {
+  if (!sharesMetricCounters(config)) {
+    return { metrics: instanceMetrics.metrics, labels: { instance: getMetricsInstanceId() } };
+  }
+  const shards = await store.list(METRICS_KEY_PREFIX);
+  const metrics = Object.values(shards).reduce((merged, shard) => STATE_TRANSITIONS.addMetrics(merged, shard), {});
+  return { metrics, labels: {} };
+}
 
-      // 检查该端点是否至少有一个源可用
-      let hasAvailableSource = false;
-      for (let baseUrlIndex = 0; baseUrlIndex < TARGET_BASE_URLS.length; baseUrlIndex++) {
-        if (await manager.isAvailable(i, baseUrlIndex)) {
-          hasAvailableSource = true;
-          break;
-        }
-      }
+/**
+ * 格式化 Prometheus 标签（转义反斜杠、双引号和换行）
+ */
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/[\\"\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`))}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
 
-      if (hasAvailableSource) {
-        currentIndex = i;
-        break;
-      }
+/**
+ * 将存储的指标键拆分为标签
+ */
+function parseMetricKey(series, key) {
+  const values = key.split('|');
+  return Object.fromEntries(METRIC_LABELS[series].map((name, index) => [name, values[index]]));
+}
+
+/**
+ * 以 Prometheus 文本格式输出指标
+ * 计数器和延迟直方图来自累计值（不使用 Durable Object 存储时为当前实例的计数，带 instance 标签），熔断状态在读取时从健康管理器获取
+ */
+async function renderPrometheusMetrics(store, config) {
+  const { metrics, labels: instanceLabels } = await loadMetricCounters(store, config);
+  const manager = new EndpointHealthManager(config, store);
+  const lines = [];
+  const writeSeries = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
     }
+  };
 
-    // 如果从起始位置往后没找到，尝试起始位置之前的端点
-    if (currentIndex === -1 && startIndex > 0) {
-      for (let i = 0; i < startIndex; i++) {
-        if (triedEndpoints.has(i)) continue;
+  const counterSamples = series => Object.entries(metrics[series] || {}).map(([key, value]) => [{ ...parseMetricKey(series, key), ...instanceLabels }, value]);
 
-        let hasAvailableSource = false;
-        for (let baseUrlIndex = 0; baseUrlIndex < TARGET_BASE_URLS.length; baseUrlIndex++) {
-          if (await manager.isAvailable(i, baseUrlIndex)) {
-            hasAvailableSource = true;
-            break;
-          }
-        }
+  writeSeries('cc_router_requests_total', 'counter', 'Requests by ingress format, tier, source and status class.', counterSamples('requests'));
+  writeSeries('cc_router_failovers_total', 'counter', 'Failed upstream attempts that made the router move on to another target.', counterSamples('failovers'));
+  writeSeries('cc_router_tokens_total', 'counter', 'Tokens reported by upstream usage.', counterSamples('tokens'));
 
-        if (hasAvailableSource) {
-          currentIndex = i;
-          break;
-        }
-      }
-    }
+  lines.push(
+    '# HELP cc_router_upstream_latency_seconds Upstream latency until response headers, per attempt.',
+    '# TYPE cc_router_upstream_latency_seconds histogram'
+  );
+  for (const [key, histogram] of Object.entries(metrics.latency || {})) {
+    const labels = { ...parseMetricKey('latency', key), ...instanceLabels };
+    let cumulative = 0;
+    METRICS_LATENCY_BUCKETS.forEach((le, index) => {
+      cumulative += histogram.buckets[index] || 0;
+      lines.push(`cc_router_upstream_latency_seconds_bucket${formatMetricLabels({ ...labels, le })} ${cumulative}`);
+    });
+    lines.push(
+      `cc_router_upstream_latency_seconds_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${histogram.count}`,
+      `cc_router_upstream_latency_seconds_sum${formatMetricLabels(labels)} ${histogram.sum}`,
+      `cc_router_upstream_latency_seconds_count${formatMetricLabels(labels)} ${histogram.count}`
+    );
+  }
 
-    // 如果还是没有可用端点，尝试任何未尝试的端点（包括冷却期的）
-    if (currentIndex === -1) {
-      for (let i = startIndex; i < ENDPOINTS.length; i++) {
-        if (!triedEndpoints.has(i)) {
-          currentIndex = i;
-          break;
-        }
+  // 熔断状态（按档位、源和模型系列），不服务该档位的源不输出
+  const overrides = await manager.loadOverrides();
+  const families = [...MODEL_FAMILIES, OTHER_MODEL_FAMILY].map(family => manager.forModelFamily(family));
+  const now = Date.now();
+  const circuitStates = [];
+  const cooldowns = [];
+  const failures = [];
+  const disabled = [];
+  const targets = [];
+  for (let endpointIndex = 0; endpointIndex < config.endpoints.length; endpointIndex++) {
+    const tier = config.endpoints[endpointIndex].name;
+    for (let baseUrlIndex = 0; baseUrlIndex < config.sources.length; baseUrlIndex++) {
+      const { name: source, tiers } = config.sources[baseUrlIndex];
+      if (tiers && !tiers.includes(tier)) {
+        continue;
       }
-      if (currentIndex === -1 && startIndex > 0) {
-        for (let i = 0; i < startIndex; i++) {
-          if (!triedEndpoints.has(i)) {
-            currentIndex = i;
-            break;
-          }
-        }
+      disabled.push([{ tier, source }, overrides.disabled[manager.getTargetName(endpointIndex, baseUrlIndex)] ? 1 : 0]);
+      for (const familyManager of families) {
+        targets.push({ endpointIndex, baseUrlIndex, labels: { tier, source, model_family: familyManager.modelFamily }, familyManager });
       }
     }
+  }
+  // 并发读取各目标的熔断状态，避免逐个等待远程存储
+  const healths = await Promise.all(targets.map(({ endpointIndex, baseUrlIndex, familyManager }) => familyManager.getHealth(endpointIndex, baseUrlIndex)));
+  targets.forEach(({ labels }, index) => {
+    const health = healths[index];
+    for (const state of Object.values(CIRCUIT_STATE)) {
+      circuitStates.push([{ ...labels, state }, health.state === state ? 1 : 0]);
+    }
+    const coolingDown = health.state === CIRCUIT_STATE.OPEN && now < health.openUntil;
+    cooldowns.push([labels, coolingDown ? Math.ceil((health.openUntil - now) / 1000) : 0]);
+    failures.push([labels, health.failures]);
+  });
+  writeSeries('cc_router_circuit_state', 'gauge', 'Circuit breaker state (1 for the current state).', circuitStates);
+  writeSeries('cc_router_cooldown_remaining_seconds', 'gauge', 'Seconds until an open circuit admits probe requests.', cooldowns);
+  writeSeries('cc_router_consecutive_failures', 'gauge', 'Consecutive failures counted by the circuit breaker.', failures);
+  writeSeries('cc_router_target_disabled', 'gauge', 'Whether the target is disabled through the admin API.', disabled);
 
-    if (currentIndex === -1) break;
+  return `${lines.join('\n')}\n`;
+}
 
-    triedEndpoints.add(currentIndex);
-    const endpoint = ENDPOINTS[currentIndex];
+/**
+ * 处理 /metrics 请求（使用管理接口的 ADMIN_SECRET 认证）
+ */
+async function handleMetricsRequest(request, env, config) {
+  if (!env.ADMIN_SECRET || !config.metrics.enabled) {
+    return createJsonResponse(createErrorBody('not_found_error', 'Metrics are disabled (ADMIN_SECRET is not set or metrics.enabled is false)', 'claude'), 404);
+  }
+  if (!isAdminAuthorized(request, env)) {
+    return createJsonResponse(createErrorBody('authentication_error', 'Invalid admin secret', 'claude'), 401);
+  }
+  if (request.method !== 'GET') {
+    return createJsonResponse(createErrorBody('invalid_request_error', `Method ${request.method} not allowed`, 'claude'), 405);
+  }
+  return new Response(await renderPrometheusMetrics(createStateStore(env, config), config), {
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+  });
+}
 
-    // 对于当前端点，依次尝试所有源（主源 -> 备源）
-    for (let baseUrlIndex = 0; baseUrlIndex < TARGET_BASE_URLS.length; baseUrlIndex++) {
-      try {
-        // 重新创建请求（因为 body 只能读取一次）
-        const clonedRequest = new Request(request.url, {
-          method: request.method,
-          headers: requestHeaders,
-          body: requestBody.byteLength > 0 ? requestBody : null
-        });
+// 沿用客户端提供的 X-Request-Id 时要求的格式，不符合时由路由器生成
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * 创建请求追踪：请求 ID、开始时间和结构化日志字段（处理过程中逐步填写）
+ */
+function createRequestTrace(request) {
+  const clientRequestId = request.headers.get('x-request-id');
+  return {
+    requestId: clientRequestId && REQUEST_ID_PATTERN.test(clientRequestId) ? clientRequestId : `req_${crypto.randomUUID().replaceAll('-', '')}`,
+    startedAt: Date.now(),
+    log: true,        // 是否输出请求日志（logging.enabled）
+    deferLog: false,  // 响应体传输完成后（读取到 usage 时）再输出日志
+    onComplete: null, // 请求结束时的回调（累加 Prometheus 指标）
+    completed: false, // 是否已输出日志（每个请求只结束一次）
+    fields: {
+      method: request.method,
+      path: new URL(request.url).pathname,
+      ray: request.headers.get('cf-ray')
+    }
+  };
+}
 
-        const response = await proxyRequest(clonedRequest, baseUrlIndex, endpoint, apiPath);
+/**
+ * 格式化尝试记录为 X-Router-Attempts 响应头（如 "droid/newcli 503 retryable 1200ms, droid/dm-fox 200 success 340ms"）
+ */
+function formatAttemptsHeader(attempts) {
+  return attempts
+    .map(attempt => `${attempt.endpoint}/${attempt.source} ${attempt.status ?? '-'} ${attempt.errorClass} ${attempt.latencyMs}ms`)
+    .join(', ');
+}
 
-        // 如果响应成功（2xx 或 3xx），记录成功并返回
-        if (response.status < 400) {
-          await manager.recordSuccess(currentIndex, baseUrlIndex);
-          return {
-            response,
-            endpointIndex: currentIndex,
-            baseUrlIndex,
-            success: true
-          };
-        }
+/**
+ * 请求结束：输出一行结构化请求日志（JSON，便于 Logpush 或 Analytics Engine 采集），并交给 onComplete 累加指标
+ * 只记录路由元数据，不记录提示词、响应内容和客户端密钥（客户端以密钥哈希或虚拟密钥 ID 标识）
+ */
+function completeRequest(trace, fields = {}) {
+  if (trace.completed) {
+    return;
+  }
+  trace.completed = true;
+  const entry = {
+    type: 'router_request',
+    requestId: trace.requestId,
+    time: new Date(trace.startedAt).toISOString(),
+    ...trace.fields,
+    ...fields,
+    durationMs: Date.now() - trace.startedAt
+  };
+  if (trace.log) {
+    console.log(JSON.stringify(entry));
+  }
+  trace.onComplete?.(entry);
+}
 
-        // 如果是 4xx 或 5xx 错误，记录失败并尝试下一个源
-        await manager.recordFailure(currentIndex, baseUrlIndex);
+/**
+ * 包装延迟结束的响应体：客户端中途断开或响应体出错时用量计量流不会结束，在这里结束请求并标记 aborted
+ * 响应体正常结束但没有读取到 usage 时（如非流式响应不是合法 JSON）也在这里结束请求
+ */
+function guardDeferredCompletion(trace, body, status) {
+  const reader = body.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          completeRequest(trace, { status });
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
       } catch (error) {
-        await manager.recordFailure(currentIndex, baseUrlIndex);
+        completeRequest(trace, { status, aborted: true, error: error.message });
+        controller.error(error);
       }
+    },
+
+    cancel(reason) {
+      completeRequest(trace, { status, aborted: true });
+      return reader.cancel(reason);
     }
+  });
+}
 
-    // 所有源都失败了，继续尝试下一个端点
+/**
+ * 为响应添加请求 ID 和尝试记录头，并结束请求（需要等待 usage 时由用量计量流结束）
+ */
+function finishRequest(trace, response, fields = {}) {
+  Object.assign(trace.fields, fields);
+  response.headers.set('X-Request-Id', trace.requestId);
+  if (trace.fields.attempts?.length > 0) {
+    response.headers.set('X-Router-Attempts', formatAttemptsHeader(trace.fields.attempts));
   }
-
-  // 所有端点的所有源都失败了
-  return { response: null, endpointIndex: -1, baseUrlIndex: -1, success: false };
+  if (!trace.deferLog || !response.body) {
+    completeRequest(trace, { status: response.status });
+    return response;
+  }
+  return new Response(guardDeferredCompletion(trace, response.body, response.status), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
 }
 
 export default {
   async fetch(request, env, ctx) {
+    const trace = createRequestTrace(request);
     try {
       // 处理 OPTIONS 预检请求
       if (request.method === 'OPTIONS') {
@@ -627,30 +6422,94 @@ export default {
         });
       }
 
-      // 解析请求路径，提取优先端点、API 路径和是否为 OpenAI 格式
-      const { preferredEndpoint, apiPath, isOpenAI, isModels } = parseRequestPath(request.url);
+      // 加载并校验路由配置
+      const config = loadRouterConfig(env);
+      trace.log = config.logging.enabled;
+
+      // 管理接口
+      if (new URL(request.url).pathname.startsWith(ADMIN_PATH_PREFIX)) {
+        return finishRequest(trace, await handleAdminRequest(request, env, config));
+      }
+
+      // Prometheus 指标
+      if (new URL(request.url).pathname === METRICS_PATH) {
+        return finishRequest(trace, await handleMetricsRequest(request, env, config));
+      }
+
+      // 解析请求路径，提取优先端点、API 路径和是否为 OpenAI / Gemini 格式
+      const { preferredEndpoint, apiPath, isOpenAI, isResponses, isModels, gemini } = parseRequestPath(request.url, config);
+      // 错误响应使用与请求相同的格式
+      const errorFormat = gemini ? 'gemini' : isOpenAI ? 'openai' : 'claude';
+      Object.assign(trace.fields, {
+        apiPath,
+        format: isResponses ? 'openai-responses' : errorFormat,
+        preferredEndpoint
+      });
+      if (gemini) {
+        request = normalizeGeminiRequest(request);
+      }
+      if (env.ADMIN_SECRET) {
+        request = stripAdminCredential(request, env);
+      }
+
+      // KV 和 Durable Object 存储在请求内缓存读取结果，选择源时不再逐个访问远程存储（内存存储没有访问延迟）
+      const store = config.stateStore.type === 'memory' ? createStateStore(env, config) : new RequestStateCache(createStateStore(env, config));
+
+      // 请求结束后累加 Prometheus 计数器（未设置 ADMIN_SECRET 时无法读取指标，不记录）
+      if (config.metrics.enabled && env.ADMIN_SECRET) {
+        trace.onComplete = entry => ctx?.waitUntil(recordRequestMetrics(store, config, entry).catch(error => {
+          console.error('Failed to record metrics:', error.message);
+        }));
+      }
+
+      // 启用虚拟密钥时，在调用上游之前拒绝未知、过期或已吊销的密钥
+      let clientKey = null;
+      if (config.virtualKeys.enabled) {
+        const auth = await authenticateVirtualKey(request.headers, store, env);
+        if (auth.error) {
+          return finishRequest(trace, new Response(JSON.stringify(createErrorBody('authentication_error', auth.error, errorFormat)), {
+            status: 401,
+            headers: {
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          }));
+        }
+        clientKey = auth.key;
+      }
 
       // 如果是 OpenAI models 接口，直接返回模型列表
       if (isModels) {
-        return new Response(JSON.stringify(getOpenAIModelsResponse()), {
+        return finishRequest(trace, new Response(JSON.stringify(getOpenAIModelsResponse()), {
           status: 200,
           headers: {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*'
           }
-        });
+        }));
       }
 
-      // 如果是 OpenAI 格式，需要转换请求体
+      // 如果是 OpenAI 或 Gemini 格式，需要转换请求体
       let processedRequest = request;
       let originalModel = null;
+      let includeUsage = false;
+      let includeThoughts = false;
 
-      if (isOpenAI && request.method === 'POST') {
+      if ((isOpenAI || gemini) && request.method === 'POST') {
         try {
-          const openaiBody = await request.json();
+          const requestBody = await request.json();
+          let claudeBody;
 
-          originalModel = openaiBody.model;
-          const claudeBody = convertOpenAIToClaude(openaiBody);
+          if (gemini) {
+            originalModel = gemini.model;
+            includeThoughts = requestBody.generationConfig?.thinkingConfig?.includeThoughts === true;
+            claudeBody = convertGeminiToClaude(requestBody, gemini.model, gemini.stream);
+          } else {
+            originalModel = requestBody.model;
+            includeUsage = requestBody.stream_options?.include_usage === true;
+            // Responses API 请求先转换为 Chat Completions 格式
+            claudeBody = convertOpenAIToClaude(isResponses ? convertResponsesToChatRequest(requestBody) : requestBody);
+          }
 
           // 创建新的请求对象，使用转换后的 Claude 格式
           // 注意：需要移除 Content-Length 头，让浏览器/fetch 自动计算新的长度
@@ -664,70 +6523,99 @@ export default {
             newHeaders.set('anthropic-version', '2023-06-01');
           }
 
-          // 如果请求看起来像机器人（OpenAI Python SDK），修改 User-Agent 并添加必要的头部
-          // 伪装成 CherryStudio 客户端以通过反机器人检测
-          const userAgent = newHeaders.get('user-agent') || '';
-          if (userAgent.includes('OpenAI') || userAgent.includes('Python') || userAgent.includes('curl')) {
-            // 使用与成功请求相同的 User-Agent
-            newHeaders.set('user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) CherryStudio/1.7.13 Chrome/140.0.7339.249 Electron/38.7.0 Safari/537.36');
-
-            // 添加 anthropic-beta 头
-            if (!newHeaders.has('anthropic-beta')) {
-              newHeaders.set('anthropic-beta', 'interleaved-thinking-2025-05-14');
-            }
-
-            // 清理机器人相关的头部
-            const botHeaders = ['x-stainless-arch', 'x-stainless-async', 'x-stainless-lang',
-                               'x-stainless-os', 'x-stainless-package-version', 'x-stainless-read-timeout',
-                               'x-stainless-retry-count', 'x-stainless-runtime', 'x-stainless-runtime-version'];
-            botHeaders.forEach(header => newHeaders.delete(header));
-          }
-
           processedRequest = new Request(request.url, {
             method: request.method,
             headers: newHeaders,
             body: JSON.stringify(claudeBody)
           });
         } catch (error) {
-          console.error('Error converting OpenAI request:', error.message, error.stack);
-          return new Response(JSON.stringify({
-            error: {
-              message: `Invalid request body: ${error.message}`,
-              type: 'invalid_request_error'
-            }
-          }), {
+          console.error(`Error converting ${gemini ? 'Gemini' : 'OpenAI'} request:`, error.message, error.stack);
+          return finishRequest(trace, new Response(JSON.stringify(createErrorBody('invalid_request_error', `Invalid request body: ${error.message}`, errorFormat)), {
             status: 400,
             headers: {
               'Content-Type': 'application/json',
               'Access-Control-Allow-Origin': '*'
             }
-          });
+          }), { error: error.message });
+        }
+      }
+
+      // 客户端限额（每个客户端密钥单独计数，虚拟密钥按密钥 ID）
+      const clientId = clientKey ? clientKey.id : await hashClientKey(request.headers);
+      Object.assign(trace.fields, { clientId, model: originalModel });
+      const clientLimits = resolveClientLimits(config, clientKey);
+      let quota = null;
+      if (hasClientLimits(clientLimits)) {
+        quota = await checkClientLimits(store, clientId, clientLimits);
+        if (!quota.admitted) {
+          return finishRequest(trace, createClientLimitResponse(quota, clientLimits, errorFormat), { limitExceeded: quota.exceeded });
+        }
+        if (quota.exceeded) {
+          console.warn(`Client ${clientId} exceeded ${quota.exceeded} (enforcement: monitor)`);
         }
       }
 
       // 创建健康管理器
-      const manager = new EndpointHealthManager();
+      const manager = new EndpointHealthManager(config, store);
+
+      // 响应缓存：确定性的非流式请求命中缓存时不调用上游（请求头 X-Router-Cache: bypass 跳过缓存）
+      let cacheKey = null;
+      let cacheStatus = null;
+      if (config.cache.enabled) {
+        cacheKey = await getResponseCacheKey(processedRequest, apiPath, preferredEndpoint);
+        if (cacheKey && request.headers.get('x-router-cache')?.toLowerCase() === 'bypass') {
+          cacheKey = null;
+          cacheStatus = 'BYPASS';
+        }
+      }
+      let result = null;
+      if (cacheKey) {
+        const cached = await readResponseCache(config, env, cacheKey);
+        result = cached ? createCachedResult(cached, config) : null;
+        cacheStatus = result ? 'HIT' : 'MISS';
+      }
 
       // 尝试所有端点（如果指定了优先端点，先尝试它）
-      const result = await tryEndpoints(processedRequest, manager, apiPath, preferredEndpoint);
-
-      if (!result.success) {
-        const errorBody = isOpenAI
-          ? JSON.stringify({
-              error: {
-                message: 'All endpoints failed',
-                type: 'api_error'
-              }
-            })
-          : 'All endpoints failed';
+      if (!result) {
+        result = await tryEndpoints(processedRequest, manager, config, apiPath, preferredEndpoint, clientKey);
+        const cacheable = cacheKey && result.success && result.response.status === 200 &&
+          result.response.headers.get('content-type')?.includes('application/json');
+        if (cacheable) {
+          const entry = {
+            contentType: result.response.headers.get('content-type'),
+            tier: config.endpoints[result.endpointIndex].name,
+            source: config.sources[result.baseUrlIndex].name,
+            upstreamModel: result.upstreamModel ?? null,
+            requestModel: result.requestModel ?? null,
+            cachedAt: new Date().toISOString()
+          };
+          const body = result.response.clone().text();
+          ctx?.waitUntil(body
+            .then(text => writeResponseCache(config, env, cacheKey, { ...entry, body: text }))
+            .catch(error => {
+              console.error('Failed to write response cache:', error.message);
+            }));
+        }
+      }
+      if (cacheStatus) {
+        trace.fields.cache = cacheStatus;
+      }
+      Object.assign(trace.fields, {
+        model: originalModel ?? result.requestModel ?? null,
+        upstreamModel: result.upstreamModel ?? null,
+        attempts: result.attempts
+      });
 
-        return new Response(errorBody, {
-          status: 503,
-          headers: {
-            'Content-Type': isOpenAI ? 'application/json' : 'text/plain',
-            'Access-Control-Allow-Origin': '*'
-          }
-        });
+      if (!result.response) {
+        // count_tokens 请求在所有档位都失败时使用本地估算（请求的模型不可用时除外）
+        const estimate = apiPath === COUNT_TOKENS_PATH && !result.forbiddenModel && !result.unsupportedModel
+          ? await createTokenEstimateResponse(processedRequest, result.attempts)
+          : null;
+        const failedResponse = estimate || createAllEndpointsFailedResponse(result, errorFormat);
+        for (const [name, value] of Object.entries(quota?.headers || {})) {
+          failedResponse.headers.set(name, value);
+        }
+        return finishRequest(trace, failedResponse, estimate ? { estimate: true } : {});
       }
 
       // 如果是 OpenAI 格式，需要转换响应
@@ -735,15 +6623,61 @@ export default {
       let responseStatus = result.response.status;
       let contentType = result.response.headers.get('content-type');
 
+      // 统计成功的消息请求的用量（在格式转换之前读取上游 Claude 响应中的 usage）
+      // 用于用量报告，每天 token 数和每月费用限额，源选择使用的首 token 耗时，以及请求日志和指标
+      const isStream = Boolean(contentType?.includes('text/event-stream'));
+      const trackFirstToken = isStream && config.selection.policy === 'weighted';
+      Object.assign(trace.fields, {
+        tier: config.endpoints[result.endpointIndex].name,
+        source: config.sources[result.baseUrlIndex].name,
+        hedged: Boolean(result.hedged),
+        stream: isStream
+      });
+      // 命中缓存的响应没有调用上游，不计入用量
+      if ((config.usage.enabled || quota || trackFirstToken || trace.log || trace.onComplete) && result.success && !result.cached && apiPath === '/v1/messages' && responseBody) {
+        const endpoint = config.endpoints[result.endpointIndex];
+        const source = config.sources[result.baseUrlIndex];
+        trace.deferLog = true;
+        responseBody = responseBody.pipeThrough(createUsageMeter(isStream, usage => {
+          const model = result.upstreamModel || usage.model;
+          completeRequest(trace, {
+            status: responseStatus,
+            usage: {
+              inputTokens: usage.inputTokens,
+              outputTokens: usage.outputTokens,
+              cacheReadTokens: usage.cacheReadTokens,
+              cacheWriteTokens: usage.cacheWriteTokens
+            },
+            ttftMs: usage.firstTokenAt === null ? null : usage.firstTokenAt - trace.startedAt
+          });
+          const tasks = [];
+          if (trackFirstToken && usage.firstTokenAt !== null) {
+            const ttftMs = usage.firstTokenAt - result.startedAt;
+            tasks.push(manager.forModelFamily(result.modelFamily).recordSample(result.endpointIndex, result.baseUrlIndex, { ttftMs }));
+          }
+          if (config.usage.enabled) {
+            tasks.push(recordUsage(store, config, { keyHash: clientId, endpoint, source, model, usage }));
+          }
+          if (quota) {
+            tasks.push(recordClientConsumption(store, config, clientId, { endpoint, model, usage }));
+          }
+          ctx?.waitUntil(Promise.all(tasks).catch(error => {
+            console.error('Failed to record usage:', error.message);
+          }));
+        }));
+      }
+
       // 先保存响应头，因为读取 body 后可能无法再访问
       const responseHeaders = new Headers(result.response.headers);
 
       // 处理流式响应和非流式响应
       if (isOpenAI && responseStatus === 200) {
         if (contentType?.includes('text/event-stream')) {
-          // 流式响应：转换 Claude SSE 为 OpenAI SSE
+          // 流式响应：转换 Claude SSE 为 OpenAI SSE（Responses API 使用类型化事件）
           try {
-            responseBody = await convertClaudeStreamToOpenAI(result.response.body, originalModel);
+            responseBody = isResponses
+              ? await convertClaudeStreamToResponses(responseBody, originalModel)
+              : await convertClaudeStreamToOpenAI(responseBody, originalModel, { includeUsage });
           } catch (error) {
             console.error('Failed to convert Claude stream to OpenAI format:', error.message, error.stack);
             // 如果转换失败，返回原始流
@@ -751,14 +6685,39 @@ export default {
         } else {
           // 非流式响应：转换 JSON 格式
           try {
-            const claudeResponse = await result.response.json();
-            const openaiResponse = convertClaudeToOpenAI(claudeResponse, originalModel);
+            const claudeResponse = await new Response(responseBody).json();
+            const openaiResponse = isResponses
+              ? convertClaudeToResponses(claudeResponse, originalModel)
+              : convertClaudeToOpenAI(claudeResponse, originalModel);
             responseBody = JSON.stringify(openaiResponse);
           } catch (error) {
             console.error('Failed to convert Claude response to OpenAI format:', error.message, error.stack);
             // 如果转换失败，返回原始响应
           }
         }
+      } else if (gemini && responseStatus === 200) {
+        try {
+          if (contentType?.includes('text/event-stream')) {
+            // 流式响应：alt=sse 时输出 SSE，否则输出 JSON 数组
+            responseBody = await convertClaudeStreamToGemini(responseBody, originalModel, { sse: gemini.sse, includeThoughts });
+            if (!gemini.sse) {
+              responseHeaders.set('Content-Type', 'application/json');
+            }
+          } else {
+            const claudeResponse = await new Response(responseBody).json();
+            responseBody = JSON.stringify(convertClaudeToGemini(claudeResponse, originalModel, includeThoughts));
+          }
+          responseHeaders.delete('Content-Length');
+        } catch (error) {
+          console.error('Failed to convert Claude response to Gemini format:', error.message, error.stack);
+          // 如果转换失败，返回原始响应
+        }
+      } else if (errorFormat !== 'claude' && responseStatus >= 400) {
+        // 客户端错误：将上游错误转换为 OpenAI 或 Gemini 错误格式
+        const upstreamError = parseUpstreamError(await result.response.text(), responseStatus);
+        responseBody = JSON.stringify(createErrorBody(upstreamError.type, upstreamError.message, errorFormat));
+        responseHeaders.set('Content-Type', 'application/json');
+        responseHeaders.delete('Content-Length');
       }
 
       // 添加 CORS 头
@@ -766,28 +6725,49 @@ export default {
       responseHeaders.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
       responseHeaders.set('Access-Control-Allow-Headers', '*');
 
+      // 添加客户端剩余额度头
+      for (const [name, value] of Object.entries(quota?.headers || {})) {
+        responseHeaders.set(name, value);
+      }
+
       // 添加调试信息头
-      responseHeaders.set('X-Used-Endpoint', ENDPOINTS[result.endpointIndex]);
+      const usedEndpoint = config.endpoints[result.endpointIndex];
+      const usedSource = config.sources[result.baseUrlIndex];
+      responseHeaders.set('X-Used-Endpoint', usedEndpoint.path);
+      responseHeaders.set('X-Used-Tier', usedEndpoint.name);
       responseHeaders.set('X-Endpoint-Index', result.endpointIndex.toString());
-      responseHeaders.set('X-Used-Base-URL', TARGET_BASE_URLS[result.baseUrlIndex]);
+      responseHeaders.set('X-Used-Base-URL', usedSource.baseUrl);
+      responseHeaders.set('X-Used-Source', usedSource.name);
       responseHeaders.set('X-Base-URL-Index', result.baseUrlIndex.toString());
+      if (result.upstreamModel) {
+        responseHeaders.set('X-Upstream-Model', result.upstreamModel);
+      }
+      if (result.hedged) {
+        responseHeaders.set('X-Hedged-Request', 'true');
+      }
+      if (cacheStatus) {
+        responseHeaders.set('X-Router-Cache', cacheStatus);
+      }
       if (preferredEndpoint) {
         responseHeaders.set('X-Preferred-Endpoint', preferredEndpoint);
       }
       if (isOpenAI) {
-        responseHeaders.set('X-Format-Conversion', 'OpenAI');
+        responseHeaders.set('X-Format-Conversion', isResponses ? 'OpenAI-Responses' : 'OpenAI');
+      } else if (gemini) {
+        responseHeaders.set('X-Format-Conversion', 'Gemini');
       }
 
-      return new Response(responseBody, {
+      return finishRequest(trace, new Response(responseBody, {
         status: responseStatus,
         statusText: result.response.statusText,
         headers: responseHeaders
-      });
+      }));
     } catch (error) {
       // 全局错误捕获
       console.error('Unexpected error in worker:', error.message, error.stack);
 
-      return new Response(JSON.stringify({
+      trace.deferLog = false;
+      return finishRequest(trace, new Response(JSON.stringify({
         error: {
           message: `Internal server error: ${error.message}`,
           type: 'internal_error'
@@ -798,7 +6778,14 @@ export default {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*'
         }
-      });
+      }), { error: error.message });
     }
+  },
+
+  // Cron 触发器：定时探测端点健康状态
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runHealthProbes(env).catch(error => {
+      console.error('Health probes failed:', error.message, error.stack);
+    }));
   }
 };